@@ -0,0 +1,62 @@
+// netlify/functions/alertRules.js
+// Rule set + webhook targets used by the scheduled alert checker (alertsScheduled.js).
+// GET → { rules, webhooks, riskModel, fired }   PUT body { rules?, webhooks?, riskModel? } → { rules, webhooks, riskModel }
+// `riskModel` is the dashboard's active Risk Temperature model, so `risk-temp` rules score the same here.
+
+import { normalizeModel } from '../../shared/riskModel.js';
+import { withAccess } from '../lib/access.js';
+import { openStore } from '../lib/store.js';
+import { sanitizeRules } from '../lib/alertRules.js';
+import { publicUrl, sanitizeWebhooks } from '../lib/webhooks.js';
+
+export const handler = withAccess(async (event) => {
+  const headers = { 'Content-Type': 'application/json' };
+
+  try {
+    const store = await openStore('alerts', event);
+    const config = (await store.get('config')) || { rules: [], webhooks: [] };
+
+    if (event.httpMethod === 'GET') {
+      const state = (await store.get('state')) || {};
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ ...config, fired: state.log || [] })
+      };
+    }
+
+    if (event.httpMethod === 'PUT' || event.httpMethod === 'POST') {
+      let body;
+      try {
+        body = JSON.parse(event.body || '{}');
+      } catch {
+        return { statusCode: 400, headers, body: JSON.stringify({ error: 'Body must be JSON' }) };
+      }
+      let riskModel = config.riskModel || null;
+      if (body.riskModel) {
+        try {
+          riskModel = normalizeModel(body.riskModel);
+        } catch (e) {
+          return { statusCode: 400, headers, body: JSON.stringify({ error: `Invalid riskModel: ${e.message}` }) };
+        }
+      }
+      const refused = Array.isArray(body.webhooks) && body.webhooks.find(h => typeof h?.url === 'string' && !publicUrl(h.url));
+      if (refused) {
+        return { statusCode: 400, headers, body: JSON.stringify({ error: 'Webhooks must be http(s) URLs on a public host' }) };
+      }
+      // partial update: the UI syncs rules, webhooks and the model independently
+      const next = {
+        rules: 'rules' in body ? sanitizeRules(body.rules) : config.rules,
+        webhooks: 'webhooks' in body ? sanitizeWebhooks(body.webhooks) : config.webhooks,
+        riskModel,
+      };
+      await store.set('config', next);
+      return { statusCode: 200, headers, body: JSON.stringify(next) };
+    }
+
+    return { statusCode: 405, headers: { ...headers, Allow: 'GET, PUT, POST' }, body: JSON.stringify({ error: 'Method not allowed' }) };
+  } catch (err) {
+    console.error('alertRules.js error:', err);
+    return { statusCode: 500, headers, body: JSON.stringify({ error: err.message }) };
+  }
+});
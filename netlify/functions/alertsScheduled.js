@@ -0,0 +1,116 @@
+// netlify/functions/alertsScheduled.js
+// Scheduled (see netlify.toml): evaluate the stored rule set against fresh data and
+// POST anything that fired to the configured webhooks. Per-rule state and a log of
+// deliveries live in the 'alerts' store so an alert is not sent twice; a delivery that
+// failed stays pending and is retried on the following runs.
+
+import { marketStatus } from '../../shared/marketCalendar.js';
+import { DEFAULT_RISK_MODEL } from '../../shared/riskModel.js';
+import { recordHealth } from '../lib/health.js';
+import { openStore } from '../lib/store.js';
+import { collectAll, collectVix, collectVol, parseSymbols } from '../lib/marketData.js';
+import { evaluateRules, metricsFromResults } from '../lib/alertRules.js';
+import { deliver } from '../lib/webhooks.js';
+
+const LOG_LIMIT = 100;
+// Out of hours little moves: evaluate hourly instead of on every 10-minute tick.
+const CLOSED_EVERY_MS = 60 * 60 * 1000;
+// A failed delivery is retried on each run (every 10 minutes) up to this many attempts in all.
+const MAX_ATTEMPTS = 6;
+
+// don't echo webhook secrets into the log
+const maskUrl = (url) => url.replace(/^(https?:\/\/[^/]+).*$/, '$1/…');
+
+/**
+ * Send `alert` to `hooks` ([{ url, format, slot }]), writing each result into its slot of the
+ * log entry's deliveries. Resolves the hooks that failed, for the pending list.
+ */
+async function send(alert, hooks, entry, attempt) {
+  const results = await Promise.all(hooks.map(hook => deliver(hook, alert)));
+  hooks.forEach((hook, i) => {
+    entry.deliveries[hook.slot] = { url: maskUrl(hook.url), format: hook.format, ...results[i], attempts: attempt };
+  });
+  return hooks.filter((hook, i) => !results[i].ok);
+}
+
+/**
+ * Retry the pending deliveries ([{ alert, hooks, attempts }]) to hooks that are still configured.
+ * Resolves what is still pending afterwards; `log` entries are updated in place.
+ */
+async function retryPending(pending, webhooks, log) {
+  const still = [];
+  for (const item of pending) {
+    const hooks = item.hooks.filter(h => webhooks.some(w => w.url === h.url));
+    const entry = log.find(e => e.ruleId === item.alert.rule.id && e.firedAt === item.alert.firedAt);
+    if (!hooks.length || !entry) continue;
+    const attempts = item.attempts + 1;
+    const failed = await send(item.alert, hooks, entry, attempts);
+    if (failed.length && attempts < MAX_ATTEMPTS) still.push({ ...item, hooks: failed, attempts });
+  }
+  return still;
+}
+
+export async function handler(event) {
+  const headers = { 'Content-Type': 'application/json' };
+
+  try {
+    const store = await openStore('alerts', event);
+    const config = (await store.get('config')) || { rules: [], webhooks: [] };
+    const saved = (await store.get('state')) || {};
+    const webhooks = config.webhooks || [];
+    const log = saved.log || [];
+    // earlier alerts first, even on runs that evaluate nothing
+    let pending = saved.pending?.length ? await retryPending(saved.pending, webhooks, log) : [];
+    const saveState = (extra) => store.set('state', { ...saved, log: log.slice(0, LOG_LIMIT), pending, ...extra });
+
+    const rules = (config.rules || []).filter(r => r.enabled);
+    if (rules.length === 0) {
+      if (saved.pending?.length) await saveState();
+      return { statusCode: 200, headers, body: JSON.stringify({ evaluated: 0, fired: [] }) };
+    }
+
+    const market = marketStatus();
+    if (!market.isOpen && saved.lastRun && Date.now() - Date.parse(saved.lastRun) < CLOSED_EVERY_MS) {
+      if (saved.pending?.length) await saveState();
+      return { statusCode: 200, headers, body: JSON.stringify({ evaluated: 0, fired: [], skipped: `market ${market.state}` }) };
+    }
+
+    // only quote the watchlist tickers some rule (or, for risk-temp rules, the model) actually watches
+    const riskModel = config.riskModel || DEFAULT_RISK_MODEL;
+    const modelInputs = rules.some(r => r.widget === 'risk-temp') ? riskModel.components : [];
+    const symbols = parseSymbols([...rules, ...modelInputs].map(r => r.symbol).filter(Boolean));
+    // the term structure costs four CBOE downloads, so only when a rule or the model reads it
+    const wantsVol = [...rules, ...modelInputs].some(r => r.widget === 'vol');
+    const [results, vix, vol] = await Promise.all([
+      collectAll({ event, symbols }),
+      collectVix({ event }),
+      wantsVol ? collectVol({ event }) : null,
+    ]);
+
+    const { state, fired } = evaluateRules(config.rules, metricsFromResults(results, vix, vol, riskModel), saved.rules || {});
+
+    for (const alert of fired) {
+      const entry = { ruleId: alert.rule.id, text: alert.text, value: alert.value, firedAt: alert.firedAt, deliveries: [] };
+      log.unshift(entry);
+      const failed = await send(alert, webhooks.map((hook, slot) => ({ ...hook, slot })), entry, 1);
+      if (failed.length) {
+        const { rule, text, value, firedAt } = alert;
+        pending.push({ alert: { rule, text, value, firedAt }, hooks: failed, attempts: 1 });
+      }
+    }
+    // an entry that fell off the log can no longer show its retries
+    pending = pending.filter(item => log.slice(0, LOG_LIMIT).some(e => e.ruleId === item.alert.rule.id && e.firedAt === item.alert.firedAt));
+
+    await saveState({ rules: state, lastRun: new Date().toISOString() });
+    await recordHealth(event);
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ evaluated: rules.length, fired: fired.map(f => ({ ruleId: f.rule.id, text: f.text, value: f.value })) })
+    };
+  } catch (err) {
+    console.error('alertsScheduled.js error:', err);
+    return { statusCode: 500, headers, body: JSON.stringify({ error: err.message }) };
+  }
+}
@@ -0,0 +1,35 @@
+// netlify/functions/correlation.js
+// Cross-asset correlation of daily moves for the correlation card.
+// GET ?window=20|60|250&pair=sp500,gold
+// Returns { window, windows, assets, matrix, pair: { a, b, window, usual, points }, breaks,
+//           assumptions, source, asOf, freshness, tried, timestamp } (see lib/correlation.js)
+
+import { withAccess } from '../lib/access.js';
+import { ASSETS, correlations, WINDOWS } from '../lib/correlation.js';
+import { cachedJson, errorJson } from '../lib/http.js';
+
+export const handler = withAccess(async (event) => {
+  const qs = event.queryStringParameters || {};
+  const window = Number(qs.window || 60);
+  const pair = (qs.pair || 'sp500,gold').split(',');
+
+  if (!WINDOWS.includes(window)) {
+    return cachedJson(event, { error: `window must be one of ${WINDOWS.join(', ')}` }, { statusCode: 400 });
+  }
+  if (pair.length !== 2 || !pair.every(id => ASSETS.some(a => a.id === id))) {
+    return cachedJson(event, { error: `pair must be two of ${ASSETS.map(a => a.id).join(', ')}` }, { statusCode: 400 });
+  }
+
+  try {
+    const result = await correlations({ window, pair, event });
+    return cachedJson(event, {
+      ...result,
+      source: 'Daily closes (TwelveData / FMP / FRED)',
+      freshness: 'end-of-day',
+      timestamp: new Date().toISOString(),
+    }, { maxAge: 900 });
+  } catch (err) {
+    console.error('correlation.js error:', err);
+    return errorJson(event, err);
+  }
+});
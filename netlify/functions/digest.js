@@ -0,0 +1,57 @@
+// netlify/functions/digest.js
+// The archived daily digests (written by digestScheduled.js), served at /digest/:date (netlify.toml).
+// GET ?date=YYYY-MM-DD | latest, with an optional .html / .md / .json suffix or ?format=
+// Returns the digest as an HTML page (default), Markdown, or JSON (see lib/digest.js);
+// without a date, an HTML index of every archived date.
+
+import { withAccess } from '../lib/access.js';
+import { archiveHtml, digestHtml, digestMarkdown } from '../lib/digest.js';
+import { cachedJson, errorJson } from '../lib/http.js';
+import { openStore } from '../lib/store.js';
+
+const FORMATS = { html: 'text/html; charset=utf-8', md: 'text/markdown; charset=utf-8', json: null };
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const PAST_MAX_AGE = 86400; // an archived day never changes
+const LATEST_MAX_AGE = 300;
+
+function text(body, contentType, maxAge) {
+  const cacheControl = `public, max-age=${maxAge}`;
+  return { statusCode: 200, headers: { 'Content-Type': contentType, 'Cache-Control': cacheControl, 'Netlify-CDN-Cache-Control': cacheControl }, body };
+}
+
+export const handler = withAccess(async (event) => {
+  const qs = event.queryStringParameters || {};
+  const [, name = '', ext] = /^([^.]*)(?:\.(\w+))?$/.exec(String(qs.date || '').replace(/^\/+|\/+$/g, '')) || [];
+  const format = qs.format || ext || 'html';
+
+  if (!(format in FORMATS)) {
+    return cachedJson(event, { error: `format must be one of ${Object.keys(FORMATS).join(', ')}` }, { statusCode: 400 });
+  }
+  if (name && name !== 'latest' && !DATE_RE.test(name)) {
+    return cachedJson(event, { error: 'date must be YYYY-MM-DD or latest' }, { statusCode: 400 });
+  }
+
+  try {
+    const store = await openStore('digests', event);
+    const dates = (await store.list()).filter(k => DATE_RE.test(k)).sort().reverse();
+    if (!name) {
+      return format === 'json'
+        ? cachedJson(event, { dates, timestamp: new Date().toISOString() }, { maxAge: LATEST_MAX_AGE })
+        : text(archiveHtml(dates), FORMATS.html, LATEST_MAX_AGE);
+    }
+
+    const date = name === 'latest' ? dates[0] : name;
+    const digest = date && await store.get(date);
+    if (!digest) {
+      return cachedJson(event, { error: `No digest for ${name}`, dates: dates.slice(0, 10) }, { statusCode: 404 });
+    }
+
+    const maxAge = name === 'latest' || date === dates[0] ? LATEST_MAX_AGE : PAST_MAX_AGE;
+    if (format === 'md') return text(digestMarkdown(digest), FORMATS.md, maxAge);
+    if (format === 'html') return text(digestHtml(digest), FORMATS.html, maxAge);
+    return cachedJson(event, digest, { maxAge });
+  } catch (err) {
+    console.error('digest.js error:', err);
+    return errorJson(event, err);
+  }
+});
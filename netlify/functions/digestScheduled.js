@@ -0,0 +1,44 @@
+// netlify/functions/digestScheduled.js
+// Scheduled (see netlify.toml), weekday mornings before the open: build the daily market digest,
+// archive it under its date in the 'digests' store (served by digest.js at /digest/:date) and,
+// when DIGEST_WEBHOOK_URL is set, post it there in DIGEST_WEBHOOK_FORMAT (json | slack | discord).
+
+import { easternDate, sessionOn } from '../../shared/marketCalendar.js';
+import { buildDigest, digestMarkdown } from '../lib/digest.js';
+import { recordHealth } from '../lib/health.js';
+import { openStore } from '../lib/store.js';
+import { digestPayload, FORMATS, post } from '../lib/webhooks.js';
+
+export async function handler(event) {
+  const headers = { 'Content-Type': 'application/json' };
+
+  try {
+    const today = easternDate();
+    if (!sessionOn(today)) {
+      return { statusCode: 200, headers, body: JSON.stringify({ date: today, skipped: 'market closed' }) };
+    }
+
+    const digest = await buildDigest({ event });
+    const store = await openStore('digests', event);
+    await store.set(digest.date, digest);
+    await recordHealth(event);
+
+    let delivery = null;
+    const hook = process.env.DIGEST_WEBHOOK_URL;
+    if (hook && /^https?:\/\//i.test(hook)) {
+      const format = FORMATS.includes(process.env.DIGEST_WEBHOOK_FORMAT) ? process.env.DIGEST_WEBHOOK_FORMAT : 'json';
+      const url = process.env.URL ? `${process.env.URL}/digest/${digest.date}` : null;
+      delivery = await post(hook, digestPayload(format, digest, digestMarkdown(digest), url));
+      if (!delivery.ok) console.warn('digestScheduled: webhook failed', delivery);
+    }
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ date: digest.date, errors: digest.errors, delivery }),
+    };
+  } catch (err) {
+    console.error('digestScheduled.js error:', err);
+    return { statusCode: 500, headers, body: JSON.stringify({ error: err.message }) };
+  }
+}
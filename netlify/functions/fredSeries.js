@@ -0,0 +1,26 @@
+// netlify/functions/fredSeries.js
+// Any FRED series for the generic FRED card.
+// GET ?series_id=BAMLH0A0HYM2&transform=level|pct|yoy|diff&frequency=d|w|bw|m|q|sa|a (optional)
+// Returns { id, meta: { title, units, frequency, lastUpdated, … }, value, previous, change, points,
+//           source, asOf, freshness, tried, timestamp }
+
+import { withAccess } from '../lib/access.js';
+import { cachedJson, errorJson } from '../lib/http.js';
+import { fredReading, parseFredParams } from '../lib/fredSeries.js';
+
+export const handler = withAccess(async (event) => {
+  let params;
+  try {
+    params = parseFredParams(event.queryStringParameters || {});
+  } catch (err) {
+    return cachedJson(event, { error: err.message }, { statusCode: 400 });
+  }
+
+  try {
+    const reading = await fredReading(event, params);
+    return cachedJson(event, { ...reading, timestamp: new Date().toISOString() }, { maxAge: 900 });
+  } catch (err) {
+    console.error('fredSeries.js error:', err);
+    return errorJson(event, err);
+  }
+});
@@ -0,0 +1,34 @@
+// netlify/functions/health.js
+// Provider health: success rate, latency, HTTP statuses, rate-limit hits and the last error per
+// upstream (FRED, TwelveData, FMP, CBOE, Stooq), and how often each fallback chain needs a fallback.
+// Served as the status page at /status (netlify.toml).
+// GET ?days=1..7&format=json|html
+// Returns { days, from, providers, chains, timestamp } (see lib/health.js) or the HTML page.
+
+import { withAccess } from '../lib/access.js';
+import { healthHtml, healthReport, MAX_DAYS } from '../lib/health.js';
+import { cachedJson, errorJson } from '../lib/http.js';
+
+export const handler = withAccess(async (event) => {
+  const qs = event.queryStringParameters || {};
+  const days = Number(qs.days || 1);
+  const format = qs.format || 'json';
+
+  if (!Number.isInteger(days) || days < 1 || days > MAX_DAYS) {
+    return cachedJson(event, { error: `days must be 1–${MAX_DAYS}` }, { statusCode: 400 });
+  }
+  if (!['json', 'html'].includes(format)) {
+    return cachedJson(event, { error: 'format must be json or html' }, { statusCode: 400 });
+  }
+
+  try {
+    const report = await healthReport(event, { days });
+    if (format === 'html') {
+      return { statusCode: 200, headers: { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' }, body: healthHtml(report) };
+    }
+    return cachedJson(event, { ...report, timestamp: new Date().toISOString() });
+  } catch (err) {
+    console.error('health.js error:', err);
+    return errorJson(event, err);
+  }
+});
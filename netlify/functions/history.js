@@ -0,0 +1,106 @@
+// netlify/functions/history.js
+// Historical series for the widget cards (sparklines + drill-down chart).
+// GET ?key=<widget key | symbol:TICKER | fred:SERIES[:transform]>&range=1M|6M|1Y|5Y
+// Returns { key, range, source, points: [{ date, value }], timestamp }
+// `risk-temp` has no upstream source: it comes from our own readings log (lib/timeseries.js).
+
+import { withAccess } from '../lib/access.js';
+import { buffettHistory } from '../lib/buffett.js';
+import { cached, TTL } from '../lib/cache.js';
+import { SERIES_ID_RE, TRANSFORMS } from '../lib/fredSeries.js';
+import { cachedJson, errorJson } from '../lib/http.js';
+import { SYMBOL_RE } from '../lib/marketData.js';
+import { CHAINS, equityChain, history } from '../lib/providers.js';
+import { querySeries } from '../lib/timeseries.js';
+
+const RANGES = { '1M': 1, '6M': 6, '1Y': 12, '5Y': 60 }; // months back
+
+// Widget key → where its history lives: a providers.js chain, Buffett's derived ratio, or our own log.
+const fredOnly = (series) => [{ provider: 'fred', series }];
+const SERIES = {
+  sp500:       { chain: equityChain('SPY') },
+  tsla:        { chain: equityChain('TSLA') },
+  lithium:     { chain: equityChain('LIT') },
+  gold:        { chain: CHAINS.gold },
+  dxy:         { chain: CHAINS.dxy },
+  'vix-index': { chain: fredOnly('VIXCLS') },
+  yield:       { chain: fredOnly('T10Y2Y') },
+  buffett:     { buffett: true },
+  'risk-temp': { recorded: 'risk-temp' },
+};
+
+// Fixed widget series, any watchlist ticker passed as `symbol:AAPL`, or a generic FRED card
+// passed as `fred:NFCI` / `fred:UNRATE:yoy`.
+function seriesFor(key) {
+  if (SERIES[key]) return SERIES[key];
+  const m = /^symbol:(.+)$/.exec(key || '');
+  if (m && SYMBOL_RE.test(m[1])) return { chain: equityChain(m[1]) };
+  const f = /^fred:([A-Z0-9_]+)(?::([a-z]+))?$/.exec(key || '');
+  if (f && SERIES_ID_RE.test(f[1]) && TRANSFORMS[f[2] || 'level']) {
+    return { chain: [{ provider: 'fred', series: f[1], units: TRANSFORMS[f[2] || 'level'].units }] };
+  }
+  return null;
+}
+
+function rangeStart(range) {
+  const d = new Date();
+  d.setUTCMonth(d.getUTCMonth() - RANGES[range]);
+  return d.toISOString().slice(0, 10);
+}
+
+// Quarterly ratio from lib/buffett.js (full history; the handler trims it to the range).
+async function buffettSeries(event) {
+  const points = (await buffettHistory(event)).map(p => ({ date: p.date, value: p.ratio }));
+  return { points, source: 'FRED NCBEILQ027S / GDP (quarterly)' };
+}
+
+// Recorded readings are minute-level; keep the last point per hour (1M) or per day (longer).
+async function recordedSeries(event, key, start, range) {
+  const raw = await querySeries(event, key, `${start}T00:00:00Z`, new Date());
+  const bucket = range === '1M' ? 13 : 10; // 'YYYY-MM-DDTHH' vs 'YYYY-MM-DD'
+  const byBucket = new Map();
+  for (const p of raw) byBucket.set(p.t.slice(0, bucket), p);
+  const points = [...byBucket.values()].map(p => ({
+    date: range === '1M' ? p.t.slice(0, 16).replace('T', ' ') : p.t.slice(0, 10),
+    value: p.v,
+    ...(p.c ? { components: p.c } : {})
+  }));
+  return { points, source: 'Recorded dashboard readings' };
+}
+
+// Upstream daily series are cached per key+range (the start date only moves once a day).
+async function loadSeries(key, def, start, range, event) {
+  if (def.recorded) return recordedSeries(event, def.recorded, start, range);
+  if (def.buffett) return buffettSeries(event);
+  return cached(`history:${key}:${range}`, TTL.history, () => history(def.chain, start), event);
+}
+
+export const handler = withAccess(async (event) => {
+  const headers = { 'Content-Type': 'application/json' };
+  const qs = event.queryStringParameters || {};
+  const key = qs.key;
+  const range = (qs.range || '6M').toUpperCase();
+
+  const def = seriesFor(key);
+  if (!def) {
+    return { statusCode: 400, headers, body: JSON.stringify({ error: `Unknown series key: ${key}` }) };
+  }
+  if (!RANGES[range]) {
+    return { statusCode: 400, headers, body: JSON.stringify({ error: `Unknown range: ${range}` }) };
+  }
+
+  try {
+    const start = rangeStart(range);
+    const { points, source } = await loadSeries(key, def, start, range, event);
+    return cachedJson(event, {
+      key,
+      range,
+      source,
+      points: points.filter(p => p.date >= start),
+      timestamp: new Date().toISOString()
+    }, { maxAge: def.recorded ? 60 : 900 });
+  } catch (err) {
+    console.error('history.js error:', err);
+    return errorJson(event, err);
+  }
+});
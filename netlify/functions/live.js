@@ -0,0 +1,94 @@
+// netlify/functions/live.js
+// Live feed for the dashboard grid: Server-Sent Events, with a JSON long-poll fallback.
+// GET ?symbols=AAPL,MSFT&nowcast=1&since=<seq>   (the SSE reconnect's Last-Event-ID wins over since)
+//   Accept: text/event-stream → `retry`, then `widget` events { field, seq, data } from the journal
+//     (catch-up), then one `widget` event per widget whose value changed, as its provider answers,
+//     then `cycle` { seq, market, retryMs }. The stream then ends and EventSource reconnects.
+//   ?mode=poll (or any other Accept) → { seq, updates: [{ field, seq, data }], retryMs, market, timestamp }
+//     at once when the journal has news since `since`, otherwise after one refresh cycle.
+// A function cannot hold a connection for long, so each connection serves one cycle; the reconnect
+// delay follows the market session. `field` is a fetchAllData payload field, `quote:SYM` or `vix`.
+
+import { marketStatus, pollDelay } from '../../shared/marketCalendar.js';
+import { checkAccess, corsHeaders } from '../lib/access.js';
+import { catchUp, readJournal, runCycle } from '../lib/liveFeed.js';
+import { parseSymbols } from '../lib/marketData.js';
+
+const HEADERS = {
+  'Cache-Control': 'no-store',
+};
+
+function sseFrame({ id, event, data, retry }) {
+  const lines = [];
+  if (retry != null) lines.push(`retry: ${retry}`);
+  if (id != null) lines.push(`id: ${id}`);
+  if (event) lines.push(`event: ${event}`);
+  if (data !== undefined) lines.push(`data: ${JSON.stringify(data)}`);
+  return `${lines.join('\n')}\n\n`;
+}
+
+function stream(event, opts, since, retryMs) {
+  const encoder = new TextEncoder();
+  return new ReadableStream({
+    async start(controller) {
+      const send = (frame) => controller.enqueue(encoder.encode(sseFrame(frame)));
+      try {
+        send({ retry: retryMs });
+        for (const u of catchUp(await readJournal(event), since, opts)) {
+          send({ id: u.seq, event: 'widget', data: u });
+        }
+        const seq = Math.max(since, await runCycle(event, opts, (u) => send({ id: u.seq, event: 'widget', data: u })));
+        send({ id: seq, event: 'cycle', data: { seq, market: marketStatus().state, retryMs } });
+      } catch (err) {
+        console.error('live.js stream error:', err);
+        send({ event: 'failure', data: { error: err.message } }); // 'error' is EventSource's own event
+      }
+      controller.close();
+    },
+  });
+}
+
+async function longPoll(event, opts, since, retryMs) {
+  const journal = await readJournal(event);
+  const updates = catchUp(journal, since, opts);
+  let seq = journal.seq;
+  if (updates.length === 0) seq = await runCycle(event, opts, (u) => updates.push(u));
+  return {
+    seq: Math.max(since, seq),
+    updates,
+    retryMs,
+    market: marketStatus().state,
+    timestamp: new Date().toISOString(),
+  };
+}
+
+export default async (req) => {
+  const url = new URL(req.url);
+  const query = Object.fromEntries(url.searchParams);
+  // v1-shaped event for the shared libs (store, cache) written against Lambda handlers
+  const event = { httpMethod: req.method, headers: Object.fromEntries(req.headers), queryStringParameters: query };
+  const denied = await checkAccess(event);
+  if (denied) return new Response(denied.body || null, { status: denied.statusCode, headers: denied.headers });
+  const headers = { ...HEADERS, ...corsHeaders(event) };
+  const opts = { symbols: parseSymbols(query.symbols), nowcast: query.nowcast === '1' };
+  const since = Number(req.headers.get('last-event-id') || query.since) || 0;
+  const retryMs = pollDelay();
+
+  const wantsStream = query.mode !== 'poll' && (req.headers.get('accept') || '').includes('text/event-stream');
+  if (wantsStream) {
+    return new Response(stream(event, opts, since, retryMs), {
+      headers: { ...headers, 'Content-Type': 'text/event-stream', 'X-Accel-Buffering': 'no' },
+    });
+  }
+
+  try {
+    const body = await longPoll(event, opts, since, retryMs);
+    return new Response(JSON.stringify(body), { headers: { ...headers, 'Content-Type': 'application/json' } });
+  } catch (err) {
+    console.error('live.js poll error:', err);
+    return new Response(JSON.stringify({ error: err.message, timestamp: new Date().toISOString() }), {
+      status: 500,
+      headers: { ...headers, 'Content-Type': 'application/json' },
+    });
+  }
+};
@@ -0,0 +1,62 @@
+// netlify/functions/login.js
+// Shared-secret login for the dashboard (see lib/access.js).
+// GET    → { required, authenticated, expires }
+// POST   body { password } → { token, expires } and the session cookie; 401 on a wrong password
+// DELETE → clears the session cookie
+
+import {
+  checkAccess, checkPassword, corsHeaders, isOpen, issueSession, sessionCookie, sessionOf,
+} from '../lib/access.js';
+
+const LOGIN_ATTEMPTS_PER_MIN = 10;
+
+export async function handler(event) {
+  const post = event.httpMethod === 'POST';
+  const denied = await checkAccess(event, {
+    auth: false,
+    ...(post ? { bucket: 'login', limit: LOGIN_ATTEMPTS_PER_MIN } : {}),
+  });
+  if (denied) return denied;
+  const headers = { 'Content-Type': 'application/json', 'Cache-Control': 'no-store', ...corsHeaders(event) };
+
+  try {
+    if (event.httpMethod === 'GET') {
+      const session = sessionOf(event);
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ required: !isOpen(), authenticated: isOpen() || !!session, expires: session?.expires || null })
+      };
+    }
+
+    if (post) {
+      let body;
+      try {
+        body = JSON.parse(event.body || '{}');
+      } catch {
+        return { statusCode: 400, headers, body: JSON.stringify({ error: 'Body must be JSON' }) };
+      }
+      if (!process.env.DASHBOARD_PASSWORD) {
+        return { statusCode: 503, headers, body: JSON.stringify({ error: 'Login is not configured on the server' }) };
+      }
+      if (!checkPassword(body.password)) {
+        return { statusCode: 401, headers, body: JSON.stringify({ error: 'Wrong password' }) };
+      }
+      const { token, expires } = issueSession();
+      return {
+        statusCode: 200,
+        headers: { ...headers, 'Set-Cookie': sessionCookie(token, expires) },
+        body: JSON.stringify({ token, expires })
+      };
+    }
+
+    if (event.httpMethod === 'DELETE') {
+      return { statusCode: 200, headers: { ...headers, 'Set-Cookie': sessionCookie(null) }, body: JSON.stringify({ ok: true }) };
+    }
+
+    return { statusCode: 405, headers: { ...headers, Allow: 'GET, POST, DELETE' }, body: JSON.stringify({ error: 'Method not allowed' }) };
+  } catch (err) {
+    console.error('login.js error:', err);
+    return { statusCode: 500, headers, body: JSON.stringify({ error: err.message }) };
+  }
+}
@@ -0,0 +1,66 @@
+// netlify/functions/readings.js
+// Our own recorded history (see lib/timeseries.js).
+// GET  ?key=sp500&from=2024-01-01&to=2024-02-01 → { key, from, to, points: [{ t, v, pct?, src? }] }
+// POST body { key: 'risk-temp', value, components?: [{ id, score, weight }] } — only for series computed in the browser.
+
+import { withAccess } from '../lib/access.js';
+import { appendReadings, querySeries } from '../lib/timeseries.js';
+
+const KEY_RE = /^[a-z0-9:._^=\/-]{1,40}$/i;
+const CLIENT_KEYS = ['risk-temp'];
+const DEFAULT_DAYS = 7;
+
+export const handler = withAccess(async (event) => {
+  const headers = { 'Content-Type': 'application/json' };
+
+  try {
+    if (event.httpMethod === 'POST') {
+      let body;
+      try {
+        body = JSON.parse(event.body || '{}');
+      } catch {
+        return { statusCode: 400, headers, body: JSON.stringify({ error: 'Body must be JSON' }) };
+      }
+      if (!CLIENT_KEYS.includes(body.key)) {
+        return { statusCode: 400, headers, body: JSON.stringify({ error: `Only ${CLIENT_KEYS.join(', ')} can be posted` }) };
+      }
+      if (!Number.isFinite(Number(body.value))) {
+        return { statusCode: 400, headers, body: JSON.stringify({ error: 'value must be a number' }) };
+      }
+      const components = Array.isArray(body.components)
+        ? body.components
+          .filter(c => c && typeof c.id === 'string' && Number.isFinite(Number(c.score)) && Number.isFinite(Number(c.weight)))
+          .slice(0, 20)
+          .map(c => ({ id: c.id.slice(0, 30), score: Number(c.score), weight: Number(c.weight) }))
+        : [];
+      await appendReadings(event, [{ key: body.key, value: body.value, components, source: 'dashboard' }]);
+      return { statusCode: 202, headers, body: JSON.stringify({ ok: true }) };
+    }
+
+    if (event.httpMethod !== 'GET') {
+      return { statusCode: 405, headers: { ...headers, Allow: 'GET, POST' }, body: JSON.stringify({ error: 'Method not allowed' }) };
+    }
+
+    const qs = event.queryStringParameters || {};
+    if (!KEY_RE.test(qs.key || '')) {
+      return { statusCode: 400, headers, body: JSON.stringify({ error: 'key is required' }) };
+    }
+    const to = qs.to ? new Date(qs.to) : new Date();
+    const from = qs.from ? new Date(qs.from) : new Date(to.getTime() - DEFAULT_DAYS * 86400000);
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from > to) {
+      return { statusCode: 400, headers, body: JSON.stringify({ error: 'from/to must be dates with from <= to' }) };
+    }
+    // `to` given as a bare date means "through the end of that day"
+    if (qs.to && /^\d{4}-\d{2}-\d{2}$/.test(qs.to)) to.setUTCHours(23, 59, 59, 999);
+
+    const points = await querySeries(event, qs.key, from, to);
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ key: qs.key, from: from.toISOString(), to: to.toISOString(), points })
+    };
+  } catch (err) {
+    console.error('readings.js error:', err);
+    return { statusCode: 500, headers, body: JSON.stringify({ error: err.message }) };
+  }
+});
@@ -0,0 +1,26 @@
+// netlify/functions/releases.js
+// Economic release calendar (CPI, payrolls, GDP, FOMC, Z.1, H.15, H.10) for countdowns and for
+// marking cards a release has just updated.
+// GET (no params)
+// Returns { releases: [{ id, releaseId, name, time, widgets, series, last, next, upcoming }],
+//           source, asOf, tried, timestamp } (see lib/releases.js)
+
+import { withAccess } from '../lib/access.js';
+import { cachedJson, errorJson } from '../lib/http.js';
+import { releaseCalendar } from '../lib/releases.js';
+
+export const handler = withAccess(async (event) => {
+  try {
+    const { releases, tried } = await releaseCalendar({ event });
+    return cachedJson(event, {
+      releases,
+      source: 'FRED release dates',
+      asOf: new Date().toISOString(),
+      tried,
+      timestamp: new Date().toISOString(),
+    }, { maxAge: 900 });
+  } catch (err) {
+    console.error('releases.js error:', err);
+    return errorJson(event, err);
+  }
+});
@@ -0,0 +1,154 @@
+// netlify/functions/snapshot.js
+// Frozen copies of the dashboard state behind read-only permalinks (index.html?snapshot=<id>).
+// POST body { takenAt, market, riskTemp, readings, cache } → 201 { id, url, created }
+// GET  ?id=<id> → the stored snapshot, which never changes (so cacheable for a day)
+// The browser assembles the state: the Risk Temperature is computed there with the user's model.
+// Every teammate who opens a permalink renders what it holds, so the shape is checked on the way
+// in: cache keys from an allowlist, { ts, data } entries of plain JSON, bounded strings, and
+// `points` series of { date, value: number }, the date either YYYY-MM-DD or, for the recorded
+// 1M series (history.js recordedSeries), 'YYYY-MM-DD HH:MM'.
+
+import { randomBytes } from 'node:crypto';
+import { withAccess } from '../lib/access.js';
+import { cachedJson } from '../lib/http.js';
+import { openStore } from '../lib/store.js';
+
+const ID_RE = /^[A-Za-z0-9_-]{8,32}$/;
+const MAX_BYTES = 1024 * 1024;
+const MAX_KEYS = 400;
+const MAX_STRING = 500;
+const MAX_ITEMS = 5000;
+const MAX_DEPTH = 8;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}(?: \d{2}:\d{2})?$/;
+
+// index.html SNAPSHOT_KEYS, plus watchlist quotes, FRED cards and sparkline histories.
+const CACHE_KEYS = new Set([
+  'sp500', 'tsla', 'vixy', 'lithium', 'yield', 'buffett', 'gold', 'dxy', 'vix-index', 'curve', 'vol', 'correlation',
+  'releases', 'release-marks', 'risk-temp', 'watchlist', 'fred-cards', 'buffett-nowcast', 'curve-compare', 'dashboards', 'dashboard-active',
+]);
+const CACHE_KEY_RE = /^(?:q-[a-z0-9-]{1,20}|fred-[a-z0-9_-]{1,40}|history:[A-Za-z0-9_.^=:-]{1,60}:[0-9A-Z]{1,4})$/;
+
+// First problem with a JSON value, as '<path>: <why>', or null. `points` arrays must be dated
+// series and `date` fields dates (optionally with a time); everything else is bounded plain data.
+function problemIn(value, path, depth = 0) {
+  const key = path.slice(path.lastIndexOf('.') + 1);
+  if (value === null || typeof value === 'boolean') return null;
+  if (typeof value === 'number') return Number.isFinite(value) ? null : `${path}: not a finite number`;
+  if (typeof value === 'string') {
+    if (value.length > MAX_STRING) return `${path}: longer than ${MAX_STRING} characters`;
+    if (key === 'date' && !DATE_RE.test(value)) return `${path}: not a YYYY-MM-DD [HH:MM] date`;
+    return null;
+  }
+  if (typeof value !== 'object') return `${path}: unsupported value`;
+  if (depth >= MAX_DEPTH) return `${path}: nested too deeply`;
+  if (Array.isArray(value)) {
+    if (value.length > MAX_ITEMS) return `${path}: more than ${MAX_ITEMS} items`;
+    if (key === 'points') {
+      const bad = value.findIndex(p => !p || typeof p.date !== 'string' || !DATE_RE.test(p.date) || !Number.isFinite(p.value));
+      if (bad >= 0) return `${path}[${bad}]: points must be { date: YYYY-MM-DD [HH:MM], value: number }`;
+    }
+    for (let i = 0; i < value.length; i++) {
+      const problem = problemIn(value[i], `${path}[${i}]`, depth + 1);
+      if (problem) return problem;
+    }
+    return null;
+  }
+  for (const [k, v] of Object.entries(value)) {
+    if (k.length > 60) return `${path}: key longer than 60 characters`;
+    const problem = problemIn(v, `${path}.${k}`, depth + 1);
+    if (problem) return problem;
+  }
+  return null;
+}
+
+// The Risk Temperature as renderRiskTemperature draws it.
+function riskProblem(risk) {
+  if (risk == null) return null;
+  const num = (v, lo, hi) => Number.isFinite(v) && v >= lo && v <= hi;
+  const str = (v) => typeof v === 'string' && v.length <= 60;
+  if (typeof risk !== 'object' || !num(risk.score, 0, 100) || !str(risk.band) || !Array.isArray(risk.parts) || risk.parts.length > 20) {
+    return 'riskTemp must be { score: 0–100, band, parts: [...] }';
+  }
+  if (!risk.parts.every(p => p && str(p.label) && num(p.score, 0, 100) && Number.isFinite(p.weight) && Number.isFinite(p.contribution))) {
+    return 'riskTemp.parts must be { label, score, weight, contribution }';
+  }
+  return problemIn(risk, 'riskTemp');
+}
+
+function snapshotProblem(body) {
+  if (!body.cache || typeof body.cache !== 'object' || Array.isArray(body.cache) || Object.keys(body.cache).length > MAX_KEYS) {
+    return `cache must be an object of at most ${MAX_KEYS} entries`;
+  }
+  for (const [key, entry] of Object.entries(body.cache)) {
+    if (!CACHE_KEYS.has(key) && !CACHE_KEY_RE.test(key)) return `cache.${key}: not a dashboard key`;
+    if (!entry || typeof entry !== 'object' || !Number.isFinite(entry.ts) || !('data' in entry) || Object.keys(entry).length !== 2) {
+      return `cache.${key}: must be { ts, data }`;
+    }
+    const problem = problemIn(entry.data, `cache.${key}.data`);
+    if (problem) return problem;
+  }
+  if (body.readings != null && !Array.isArray(body.readings)) return 'readings must be an array';
+  return riskProblem(body.riskTemp) || problemIn(body.readings || [], 'readings');
+}
+
+export const handler = withAccess(async (event) => {
+  const headers = { 'Content-Type': 'application/json' };
+
+  try {
+    const store = await openStore('snapshots', event);
+
+    if (event.httpMethod === 'POST') {
+      if ((event.body || '').length > MAX_BYTES) {
+        return { statusCode: 413, headers, body: JSON.stringify({ error: `Snapshot larger than ${MAX_BYTES} bytes` }) };
+      }
+      let body;
+      try {
+        body = JSON.parse(event.body || '{}');
+      } catch {
+        return { statusCode: 400, headers, body: JSON.stringify({ error: 'Body must be JSON' }) };
+      }
+      const takenAt = new Date(body.takenAt);
+      if (Number.isNaN(takenAt.getTime())) {
+        return { statusCode: 400, headers, body: JSON.stringify({ error: 'takenAt must be a date' }) };
+      }
+      const problem = snapshotProblem(body);
+      if (problem) {
+        return { statusCode: 400, headers, body: JSON.stringify({ error: `Invalid snapshot: ${problem}` }) };
+      }
+
+      const id = randomBytes(9).toString('base64url');
+      const snapshot = {
+        id,
+        created: new Date().toISOString(),
+        takenAt: takenAt.toISOString(),
+        market: typeof body.market === 'string' ? body.market.slice(0, 10) : null,
+        riskTemp: body.riskTemp || null,
+        readings: body.readings || [],
+        cache: body.cache,
+      };
+      await store.set(id, snapshot);
+      return {
+        statusCode: 201,
+        headers,
+        body: JSON.stringify({ id, url: `/?snapshot=${id}`, created: snapshot.created })
+      };
+    }
+
+    if (event.httpMethod !== 'GET') {
+      return { statusCode: 405, headers: { ...headers, Allow: 'GET, POST' }, body: JSON.stringify({ error: 'Method not allowed' }) };
+    }
+
+    const id = event.queryStringParameters?.id || '';
+    if (!ID_RE.test(id)) {
+      return { statusCode: 400, headers, body: JSON.stringify({ error: 'id is required' }) };
+    }
+    const snapshot = await store.get(id);
+    if (!snapshot) {
+      return { statusCode: 404, headers, body: JSON.stringify({ error: `No snapshot ${id}` }) };
+    }
+    return cachedJson(event, snapshot, { maxAge: 86400 });
+  } catch (err) {
+    console.error('snapshot.js error:', err);
+    return { statusCode: 500, headers, body: JSON.stringify({ error: err.message }) };
+  }
+});
@@ -0,0 +1,19 @@
+// netlify/functions/volatility.js
+// VIX term structure, VIX/VIX3M ratio, SPY realized vs implied volatility and a regime label.
+// GET (no params)
+// Returns { terms, curves: { today, 1M }, vix, vix3m, ratio, ratioPercentile, structure, frontInverted,
+//           realized, premium, regime, regimeLabel, source, asOf, freshness, tried, timestamp }
+
+import { withAccess } from '../lib/access.js';
+import { cachedJson, errorJson } from '../lib/http.js';
+import { volTermStructure } from '../lib/volatility.js';
+
+export const handler = withAccess(async (event) => {
+  try {
+    const vol = await volTermStructure({ event });
+    return cachedJson(event, { ...vol, timestamp: new Date().toISOString() }, { maxAge: 600 });
+  } catch (err) {
+    console.error('volatility.js error:', err);
+    return errorJson(event, err);
+  }
+});
@@ -0,0 +1,49 @@
+// netlify/functions/watchlist.js
+// Server-side copy of the user's ticker watchlist.
+// GET ?name=default → { name, symbols, updated }
+// PUT ?name=default  body { symbols: ['AAPL', ...] } → same shape
+
+import { withAccess } from '../lib/access.js';
+import { MAX_SYMBOLS, SYMBOL_RE } from '../lib/marketData.js';
+import { openStore } from '../lib/store.js';
+
+export const handler = withAccess(async (event) => {
+  const headers = { 'Content-Type': 'application/json' };
+  const name = (event.queryStringParameters?.name || 'default').slice(0, 40);
+
+  try {
+    const store = await openStore('watchlists', event);
+
+    if (event.httpMethod === 'GET') {
+      const saved = await store.get(name);
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify(saved || { name, symbols: [], updated: null })
+      };
+    }
+
+    if (event.httpMethod === 'PUT' || event.httpMethod === 'POST') {
+      let body;
+      try {
+        body = JSON.parse(event.body || '{}');
+      } catch {
+        return { statusCode: 400, headers, body: JSON.stringify({ error: 'Body must be JSON' }) };
+      }
+      if (!Array.isArray(body.symbols)) {
+        return { statusCode: 400, headers, body: JSON.stringify({ error: 'symbols must be an array' }) };
+      }
+      const symbols = [...new Set(body.symbols.map(s => String(s).trim().toUpperCase()))]
+        .filter(s => SYMBOL_RE.test(s))
+        .slice(0, MAX_SYMBOLS);
+      const saved = { name, symbols, updated: new Date().toISOString() };
+      await store.set(name, saved);
+      return { statusCode: 200, headers, body: JSON.stringify(saved) };
+    }
+
+    return { statusCode: 405, headers: { ...headers, Allow: 'GET, PUT, POST' }, body: JSON.stringify({ error: 'Method not allowed' }) };
+  } catch (err) {
+    console.error('watchlist.js error:', err);
+    return { statusCode: 500, headers, body: JSON.stringify({ error: err.message }) };
+  }
+});
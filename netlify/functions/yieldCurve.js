@@ -0,0 +1,19 @@
+// netlify/functions/yieldCurve.js
+// Whole Treasury curve for the curve card.
+// GET ?compare=YYYY-MM-DD (optional extra curve to overlay)
+// Returns { tenors, curves: { today, 1M, 1Y, compare? }, spreads, source, asOf, freshness, tried, timestamp }
+
+import { withAccess } from '../lib/access.js';
+import { cachedJson, errorJson } from '../lib/http.js';
+import { treasuryCurve } from '../lib/treasury.js';
+
+export const handler = withAccess(async (event) => {
+  try {
+    const compare = event.queryStringParameters?.compare;
+    const curve = await treasuryCurve({ event, compare });
+    return cachedJson(event, { ...curve, timestamp: new Date().toISOString() }, { maxAge: 600 });
+  } catch (err) {
+    console.error('yieldCurve.js error:', err);
+    return errorJson(event, err);
+  }
+});
@@ -0,0 +1,223 @@
+// netlify/lib/access.js
+// Who may call the functions: a shared-secret login that hands out signed session tokens,
+// a CORS allowlist, and a per-client request budget. Every browser-facing function is wrapped
+// in withAccess(); live.js (v2) calls checkAccess() itself.
+//
+// Environment:
+//   DASHBOARD_PASSWORD   shared secret for POST /.netlify/functions/login (required unless open)
+//   SESSION_SECRET       HMAC key for session tokens (default: derived from DASHBOARD_PASSWORD,
+//                        so changing the password signs everyone out)
+//   SESSION_HOURS        session lifetime, default 12
+//   ALLOWED_ORIGINS      comma-separated extra origins for CORS; the site's own origin always passes
+//   RATE_LIMIT_PER_MIN   requests per client per minute, default 120
+//   ACCESS_OPEN=1        no login (local use); `netlify dev` is open too
+// Sessions travel as an HttpOnly cookie (so fetch and EventSource need nothing extra) or as
+// `Authorization: Bearer <token>` for scripts and allowlisted cross-origin pages.
+
+import { createHash, createHmac, randomBytes, timingSafeEqual } from 'node:crypto';
+import { recordHealth } from './health.js';
+import { openStore } from './store.js';
+
+export const SESSION_COOKIE = 'mdash_session';
+const MINUTE = 60 * 1000;
+
+const env = (name, fallback) => process.env[name] || fallback;
+const sessionMs = () => Number(env('SESSION_HOURS', 12)) * 60 * MINUTE;
+export const isOpen = () => env('ACCESS_OPEN') === '1' || env('NETLIFY_DEV') === 'true';
+
+function secret() {
+  if (process.env.SESSION_SECRET) return process.env.SESSION_SECRET;
+  const password = process.env.DASHBOARD_PASSWORD;
+  return password ? createHash('sha256').update(`session:${password}`).digest() : null;
+}
+
+const header = (event, name) => event.headers?.[name] ?? event.headers?.[name.toLowerCase()];
+
+// ---------- passwords and tokens ----------
+
+function sameString(a, b) {
+  const x = createHash('sha256').update(String(a)).digest();
+  const y = createHash('sha256').update(String(b)).digest();
+  return timingSafeEqual(x, y);
+}
+
+/** True when `password` is the configured shared secret (constant time). */
+export function checkPassword(password) {
+  const expected = process.env.DASHBOARD_PASSWORD;
+  return !!expected && typeof password === 'string' && sameString(password, expected);
+}
+
+function sign(payload) {
+  return createHmac('sha256', secret()).update(payload).digest('base64url');
+}
+
+/** A fresh session: { token, sid, expires } (token = base64url(JSON) + '.' + HMAC). */
+export function issueSession() {
+  const sid = randomBytes(9).toString('base64url');
+  const expires = Date.now() + sessionMs();
+  const payload = Buffer.from(JSON.stringify({ sid, exp: expires })).toString('base64url');
+  return { token: `${payload}.${sign(payload)}`, sid, expires: new Date(expires).toISOString() };
+}
+
+function verifyToken(token) {
+  if (!secret() || typeof token !== 'string') return null;
+  const [payload, mac] = token.split('.');
+  if (!payload || !mac || !sameString(mac, sign(payload))) return null;
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return claims.exp > Date.now() ? { sid: claims.sid, expires: new Date(claims.exp).toISOString() } : null;
+  } catch {
+    return null;
+  }
+}
+
+function cookieValue(event, name) {
+  const cookies = header(event, 'cookie') || '';
+  for (const part of cookies.split(';')) {
+    const [k, ...v] = part.trim().split('=');
+    if (k === name) return decodeURIComponent(v.join('='));
+  }
+  return null;
+}
+
+/** The caller's session { sid, expires } from the bearer token or cookie, or null. */
+export function sessionOf(event) {
+  const auth = header(event, 'authorization') || '';
+  const bearer = /^Bearer\s+(.+)$/i.exec(auth);
+  return verifyToken(bearer ? bearer[1] : cookieValue(event, SESSION_COOKIE));
+}
+
+/** Set-Cookie for a session, or one that clears it when `token` is null. */
+export function sessionCookie(token, expires) {
+  const attrs = 'Path=/; HttpOnly; Secure; SameSite=Strict';
+  if (!token) return `${SESSION_COOKIE}=; ${attrs}; Max-Age=0`;
+  const maxAge = Math.max(0, Math.round((Date.parse(expires) - Date.now()) / 1000));
+  return `${SESSION_COOKIE}=${token}; ${attrs}; Max-Age=${maxAge}`;
+}
+
+// ---------- CORS ----------
+
+function allowedOrigin(event) {
+  const origin = header(event, 'origin');
+  if (!origin) return null;
+  let host;
+  try {
+    host = new URL(origin).host;
+  } catch {
+    return false;
+  }
+  const allow = [process.env.URL, ...env('ALLOWED_ORIGINS', '').split(',')]
+    .map(o => (o || '').trim().replace(/\/$/, ''))
+    .filter(Boolean);
+  return host === header(event, 'host') || allow.includes(origin) ? origin : false;
+}
+
+/** CORS headers for this request: the caller's origin echoed back only when it is allowed. */
+export function corsHeaders(event) {
+  const origin = allowedOrigin(event);
+  return origin
+    ? { 'Access-Control-Allow-Origin': origin, 'Access-Control-Allow-Credentials': 'true', Vary: 'Origin' }
+    : { Vary: 'Origin' };
+}
+
+// ---------- rate limiting ----------
+
+// Fixed one-minute windows per client, kept in the 'ratelimit' store so every instance counts
+// against the same budget (concurrent instances can undercount by a request or two). This
+// instance's memory takes over if the store is unreachable.
+const windows = new Map(); // client → { window, count }
+
+function clientOf(event) {
+  const session = sessionOf(event);
+  if (session) return `sid:${session.sid}`;
+  const ip = header(event, 'x-nf-client-connection-ip') || (header(event, 'x-forwarded-for') || '').split(',')[0].trim();
+  return `ip:${ip || 'unknown'}`;
+}
+
+async function spend(event, bucket, limit) {
+  const key = `${bucket}:${clientOf(event)}`;
+  const window = Math.floor(Date.now() / MINUTE);
+  let entry;
+  try {
+    const store = await openStore('ratelimit', event);
+    const saved = await store.get(key);
+    entry = saved?.window === window ? { window, count: saved.count + 1 } : { window, count: 1 };
+    await store.set(key, entry);
+  } catch (e) {
+    console.warn('ratelimit: store unavailable, counting in memory:', e.message);
+    const saved = windows.get(key);
+    entry = saved?.window === window ? { window, count: saved.count + 1 } : { window, count: 1 };
+  }
+  windows.set(key, entry);
+  return entry.count <= limit ? null : Math.ceil(((window + 1) * MINUTE - Date.now()) / 1000);
+}
+
+// ---------- the gate ----------
+
+function refuse(event, statusCode, error, extra = {}) {
+  return {
+    statusCode,
+    headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store', ...corsHeaders(event), ...extra.headers },
+    body: JSON.stringify({ error, ...extra.body }),
+  };
+}
+
+/**
+ * null when the request may go ahead, otherwise the response to send instead: 204 for a CORS
+ * preflight, 403 for a disallowed origin, 401 without a valid session, 429 over budget.
+ * `auth: false` skips the session check (the login function itself); `bucket` / `limit` pick
+ * the budget.
+ */
+export async function checkAccess(event, { auth = true, bucket = 'api', limit } = {}) {
+  if (allowedOrigin(event) === false) return refuse(event, 403, 'Origin not allowed');
+  if (event.httpMethod === 'OPTIONS') {
+    return {
+      statusCode: 204,
+      headers: {
+        ...corsHeaders(event),
+        'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+        'Access-Control-Allow-Headers': 'Authorization, Content-Type, If-None-Match, Last-Event-ID',
+        'Access-Control-Max-Age': '86400',
+      },
+      body: '',
+    };
+  }
+
+  const retryAfter = await spend(event, bucket, limit ?? Number(env('RATE_LIMIT_PER_MIN', 120)));
+  if (retryAfter != null) {
+    return refuse(event, 429, 'Too many requests', {
+      headers: { 'Retry-After': String(retryAfter) },
+      body: { retryAfter },
+    });
+  }
+
+  if (!auth || isOpen()) return null;
+  if (!process.env.DASHBOARD_PASSWORD) {
+    return refuse(event, 401, 'Login is not configured: set DASHBOARD_PASSWORD (or ACCESS_OPEN=1 for local use)');
+  }
+  if (!sessionOf(event)) {
+    return refuse(event, 401, 'Login required', { headers: { 'WWW-Authenticate': 'Bearer realm="dashboard"' } });
+  }
+  return null;
+}
+
+/**
+ * Wrap a v1 handler: run checkAccess first, then give the response this request's CORS headers
+ * and save the provider calls it made (lib/health.js).
+ * With login enforced, responses turn private so the CDN never hands them to someone else.
+ */
+export function withAccess(handler, opts) {
+  return async (event, context) => {
+    const denied = await checkAccess(event, opts);
+    if (denied) return denied;
+    const res = await handler(event, context);
+    await recordHealth(event);
+    const headers = { ...res.headers, ...corsHeaders(event) };
+    if (!isOpen() && opts?.auth !== false) {
+      if (headers['Cache-Control']) headers['Cache-Control'] = headers['Cache-Control'].replace('public', 'private');
+      delete headers['Netlify-CDN-Cache-Control'];
+      delete headers['Netlify-Vary'];
+    }
+    return { ...res, headers };
+  };
+}
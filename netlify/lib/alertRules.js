@@ -0,0 +1,138 @@
+// netlify/lib/alertRules.js
+// Server-side twin of the dashboard's alert engine (evaluateAlerts in index.html).
+// Rules and per-rule state use the same shapes, so a rule set synced from the UI
+// behaves the same here as in an open tab.
+
+import { computeRiskTemperature, DEFAULT_RISK_MODEL } from '../../shared/riskModel.js';
+
+export const OPS = ['>', '>=', '<', '<=', 'crosses_above', 'crosses_below'];
+const OP_LABELS = { '>': '>', '>=': '≥', '<': '<', '<=': '≤', crosses_above: 'crosses above', crosses_below: 'crosses below' };
+
+/** Same DOM/cache key the UI derives for a watchlist ticker. */
+export function watchlistKey(sym) {
+  return 'q-' + sym.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+}
+
+/**
+ * Map a fetchAllData payload (+ vixIndex and volatility readings) onto the widget keys rules refer to.
+ * `risk-temp` is scored with `model`: the dashboard's active model when the UI has synced one.
+ */
+export function metricsFromResults(results, vix, vol = null, model = DEFAULT_RISK_MODEL) {
+  const metrics = {
+    sp500: results.spy,
+    vixy: results.vixy,
+    tsla: results.tsla,
+    lithium: results.lit,
+    yield: results.yieldCurve,
+    buffett: results.buffett,
+    gold: results.gold,
+    dxy: results.dxy,
+    'vix-index': vix,
+    vol,
+  };
+  for (const [sym, q] of Object.entries(results.quotes || {})) metrics[watchlistKey(sym)] = q;
+  const risk = riskTemperature(metrics, model);
+  if (risk) metrics['risk-temp'] = { score: risk.score, band: risk.band };
+  return metrics;
+}
+
+export function readMetric(metrics, widget, field) {
+  const d = metrics[widget];
+  if (!d || d.error) return null;
+  const keys = field === 'pct' ? ['pct', 'changePercent', 'change'] : [field];
+  for (const k of keys) {
+    const v = Number(d[k]);
+    if (d[k] != null && Number.isFinite(v)) return v;
+  }
+  return null;
+}
+
+/**
+ * Risk Temperature over `metrics` (shared/riskModel.js) → { score, band, parts } or null.
+ * Z-score components need history the server does not fetch, so they are skipped.
+ */
+export function riskTemperature(metrics, model = DEFAULT_RISK_MODEL) {
+  return computeRiskTemperature(model, { value: (widget, field) => readMetric(metrics, widget, field), stats: () => null });
+}
+
+export function ruleText(rule) {
+  const days = rule.forDays > 0 ? ` for ${rule.forDays} day${rule.forDays === 1 ? '' : 's'}` : '';
+  const name = rule.label || (rule.symbol ? `${rule.symbol} · ${rule.field}` : `${rule.widget} · ${rule.field}`);
+  return `${name} ${OP_LABELS[rule.op] || rule.op} ${rule.value}${days}`;
+}
+
+/** Drop anything that is not a well-formed rule; returns a clean copy. */
+export function sanitizeRules(rules) {
+  if (!Array.isArray(rules)) return [];
+  return rules
+    .filter(r => r && typeof r.id === 'string' && typeof r.widget === 'string' && typeof r.field === 'string'
+      && OPS.includes(r.op) && Number.isFinite(Number(r.value)))
+    .slice(0, 100)
+    .map(r => ({
+      id: r.id.slice(0, 40),
+      widget: r.widget.slice(0, 40),
+      field: r.field.slice(0, 40),
+      op: r.op,
+      value: Number(r.value),
+      forDays: Math.max(0, Number(r.forDays) || 0),
+      cooldownMin: Math.max(0, Number(r.cooldownMin ?? 60) || 0),
+      enabled: r.enabled !== false,
+      ...(typeof r.symbol === 'string' ? { symbol: r.symbol.slice(0, 15) } : {}),
+      ...(typeof r.label === 'string' ? { label: r.label.slice(0, 80) } : {}),
+    }));
+}
+
+function compare(op, v, threshold) {
+  switch (op) {
+    case '>':  return v > threshold;
+    case '>=': return v >= threshold;
+    case '<':  return v < threshold;
+    case '<=': return v <= threshold;
+    default:   return false;
+  }
+}
+
+/**
+ * Evaluate rules against the current metrics. Mutates and returns `state`
+ * ({ [ruleId]: { active, since, lastFired, prev } }) and lists what fired.
+ */
+export function evaluateRules(rules, metrics, state = {}, now = Date.now()) {
+  const fired = [];
+
+  for (const rule of rules) {
+    const st = state[rule.id] || (state[rule.id] = { active: false, since: null, lastFired: 0, prev: null });
+    const v = readMetric(metrics, rule.widget, rule.field);
+    if (!rule.enabled || v === null) continue;
+
+    let triggered;
+    if (rule.op === 'crosses_above' || rule.op === 'crosses_below') {
+      const above = rule.op === 'crosses_above';
+      triggered = st.prev !== null && (above
+        ? st.prev <= rule.value && v > rule.value
+        : st.prev >= rule.value && v < rule.value);
+    } else {
+      const holds = compare(rule.op, v, rule.value);
+      if (holds && !st.since) st.since = now;
+      if (!holds) st.since = null;
+      triggered = holds && now - st.since >= (rule.forDays || 0) * 86400000;
+    }
+    st.prev = v;
+
+    if (!triggered) {
+      st.active = false;
+      continue;
+    }
+    // fire once per episode; a flapping condition waits out the cooldown
+    const cooledDown = now - st.lastFired >= (rule.cooldownMin ?? 60) * 60000;
+    if (!st.active && cooledDown) {
+      st.active = true;
+      st.lastFired = now;
+      fired.push({ rule, value: v, text: ruleText(rule), firedAt: new Date(now).toISOString() });
+    }
+  }
+
+  for (const id of Object.keys(state)) {
+    if (!rules.some(r => r.id === id)) delete state[id];
+  }
+  return { state, fired };
+}
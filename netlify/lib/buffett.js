@@ -0,0 +1,144 @@
+// netlify/lib/buffett.js
+// Buffett indicator, quarter by quarter: NCBEILQ027S (market value of equities, $M) over
+// nominal GDP (SAAR, $B) for the same quarter, since 1980. The latest reading is placed in its
+// own history (percentile) and against a log-linear trend (σ bands).
+
+import { cached, TTL } from './cache.js';
+import { fred } from './providers.js';
+
+const START = '1980-01-01';
+
+// Standard deviations from the log-linear trend → the bands people quote.
+export const BANDS = [
+  { above: 2, id: 'strongly-overvalued', label: 'Strongly overvalued' },
+  { above: 1, id: 'overvalued', label: 'Overvalued' },
+  { above: -1, id: 'fair', label: 'Fairly valued' },
+  { above: -2, id: 'undervalued', label: 'Undervalued' },
+  { above: -Infinity, id: 'strongly-undervalued', label: 'Strongly undervalued' },
+];
+
+export function bandFor(sigma) {
+  return BANDS.find(b => sigma > b.above) || BANDS[BANDS.length - 1];
+}
+
+const quarterOf = (date) => `${date.slice(0, 4)}Q${Math.floor((Number(date.slice(5, 7)) - 1) / 3) + 1}`;
+
+function nextQuarter(date) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCMonth(d.getUTCMonth() + 3);
+  return d.toISOString().slice(0, 10);
+}
+
+// GDP for the quarter after the last published one: last nominal GDP grown by GDPNow's real
+// growth plus the latest GDP deflator change (both annualised %). Null when either is missing.
+async function nowcastGdp(gdp) {
+  const last = gdp[gdp.length - 1];
+  const [now, deflator] = await Promise.all([
+    fred.latest('GDPNOW'),
+    fred.latest('A191RI1Q225SBEA'),
+  ]);
+  const annual = (now.value + deflator.value) / 100;
+  return {
+    date: nextQuarter(last.date),
+    value: last.value * Math.pow(1 + annual, 1 / 4),
+    nowcast: { gdpNow: now.value, gdpNowAsOf: now.asOf, deflator: deflator.value },
+  };
+}
+
+/** Quarterly history [{ date, quarter, mcap, gdp, ratio, nowcast? }] (mcap/gdp in $B). */
+export function buffettHistory(event, { nowcast = false } = {}) {
+  return cached(`buffett:history:${nowcast ? 'nowcast' : 'published'}`, TTL.quarterly, async () => {
+    const [mcap, gdp] = await Promise.all([
+      fred.observations('NCBEILQ027S', { start: START, frequency: 'q' }),
+      fred.observations('GDP', { start: START }),
+    ]);
+    if (nowcast && mcap[mcap.length - 1].date > gdp[gdp.length - 1].date) {
+      try {
+        gdp.push(await nowcastGdp(gdp));
+      } catch (e) {
+        console.warn('buffett: GDP nowcast unavailable:', e.message);
+      }
+    }
+    const gdpByDate = new Map(gdp.map(g => [g.date, g]));
+    return mcap
+      .filter(m => gdpByDate.has(m.date))
+      .map(m => {
+        const g = gdpByDate.get(m.date);
+        const mcapB = m.value / 1e3; // FRED market cap is in **millions**
+        return {
+          date: m.date,
+          quarter: quarterOf(m.date),
+          mcap: mcapB,
+          gdp: g.value,
+          ratio: Number(((mcapB / g.value) * 100).toFixed(2)),
+          ...(g.nowcast ? { nowcast: g.nowcast } : {}),
+        };
+      });
+  }, event);
+}
+
+/** Least-squares fit of ln(ratio) on time → { at(date) → trend ratio, sd of log residuals }. */
+export function logTrend(points) {
+  const t = points.map(p => Date.parse(p.date) / (365.25 * 86400000));
+  const l = points.map(p => Math.log(p.ratio));
+  const n = points.length;
+  const mt = t.reduce((a, b) => a + b, 0) / n;
+  const ml = l.reduce((a, b) => a + b, 0) / n;
+  let sxy = 0, sxx = 0;
+  for (let i = 0; i < n; i++) {
+    sxy += (t[i] - mt) * (l[i] - ml);
+    sxx += (t[i] - mt) ** 2;
+  }
+  const slope = sxx ? sxy / sxx : 0;
+  const fit = (ti) => ml + slope * (ti - mt);
+  const sd = Math.sqrt(l.reduce((a, li, i) => a + (li - fit(t[i])) ** 2, 0) / Math.max(1, n - 2));
+  return {
+    sd,
+    growth: Math.exp(slope) - 1, // per year
+    at: (date) => Math.exp(fit(Date.parse(date) / (365.25 * 86400000))),
+    sigma: (p) => (sd ? (Math.log(p.ratio) - fit(Date.parse(p.date) / (365.25 * 86400000))) / sd : 0),
+  };
+}
+
+/** Latest quarter with percentile, trend and band, in the shape buffett.js has always returned. */
+export async function buffettSummary(event, { nowcast = false } = {}) {
+  const points = await buffettHistory(event, { nowcast });
+  if (points.length < 8) throw new Error('Not enough Buffett indicator history');
+  const latest = points[points.length - 1];
+  const trend = logTrend(points);
+  const sigma = trend.sigma(latest);
+  const band = bandFor(sigma);
+
+  return {
+    source: 'FRED NCBEILQ027S / GDP',
+    inputs: {
+      numerator: 'FRED NCBEILQ027S (quarterly)',
+      denominator: latest.nowcast ? 'GDP nowcast (GDPNow + GDP deflator)' : 'FRED GDP (quarterly, SAAR)'
+    },
+    asOf: latest.date,
+    freshness: 'quarterly',
+    tried: [
+      { source: 'FRED NCBEILQ027S', ok: true },
+      { source: 'FRED GDP', ok: true },
+      ...(latest.nowcast ? [{ source: 'FRED GDPNOW', ok: true }] : []),
+    ],
+    vintage: 'latest revised',
+    quarter: latest.quarter,
+    year: Number(latest.date.slice(0, 4)),
+    ratio: latest.ratio,
+    market_cap_billion_usd: latest.mcap,
+    gdp_billion_usd: latest.gdp,
+    nowcast: latest.nowcast || null,
+    percentile: Number(((points.filter(p => p.ratio <= latest.ratio).length / points.length) * 100).toFixed(1)),
+    trend: {
+      ratio: Number(trend.at(latest.date).toFixed(2)),
+      sigma: Number(sigma.toFixed(2)),
+      growthPerYear: Number((trend.growth * 100).toFixed(2)),
+      bands: Object.fromEntries([-2, -1, 1, 2].map(k => [k, Number((trend.at(latest.date) * Math.exp(k * trend.sd)).toFixed(2))])),
+    },
+    band: band.id,
+    bandLabel: band.label,
+    history_since: points[0].date,
+    note: 'All values in billions of USD. Market cap was converted from millions.'
+  };
+}
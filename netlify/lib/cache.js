@@ -0,0 +1,68 @@
+// netlify/lib/cache.js
+// TTL cache for upstream series with in-flight coalescing.
+// Tier 1: this instance's memory. Tier 2 (when the handler's event is passed): the 'cache'
+// store, so cold instances reuse what a warm one already paid for. Failures are never cached.
+
+import { openStore } from './store.js';
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const HOUR = 60 * MINUTE;
+
+// How long a value stays fresh, by how often the upstream series actually changes.
+export const TTL = {
+  quote: 60 * SECOND,   // intraday quotes
+  vix: 10 * MINUTE,     // spot VIX: daily close first, intraday only as a fallback
+  daily: 3 * HOUR,      // daily FRED series
+  history: HOUR,        // daily bars for charts
+  quarterly: 24 * HOUR, // Buffett inputs (quarterly market cap, GDP)
+};
+
+const memory = new Map();   // key → { value, expires }
+const inflight = new Map(); // key → Promise
+
+async function fromStore(event, key) {
+  try {
+    const store = await openStore('cache', event);
+    const hit = await store.get(key);
+    return hit && hit.expires > Date.now() ? hit : null;
+  } catch {
+    return null;
+  }
+}
+
+async function toStore(event, key, entry) {
+  try {
+    const store = await openStore('cache', event);
+    await store.set(key, entry);
+  } catch (e) {
+    console.warn(`cache: could not persist ${key}:`, e.message);
+  }
+}
+
+/**
+ * Value for `key`, calling `fn` only when nothing fresh is cached and no identical call is
+ * already running. Concurrent callers share one upstream request.
+ */
+export function cached(key, ttl, fn, event) {
+  const hit = memory.get(key);
+  if (hit && hit.expires > Date.now()) return Promise.resolve(hit.value);
+  if (inflight.has(key)) return inflight.get(key);
+
+  const run = (async () => {
+    const shared = event ? await fromStore(event, key) : null;
+    if (shared) {
+      memory.set(key, shared);
+      return shared.value;
+    }
+    const value = await fn();
+    const entry = { value, expires: Date.now() + ttl };
+    memory.set(key, entry);
+    if (event) await toStore(event, key, entry);
+    return value;
+  })();
+
+  inflight.set(key, run);
+  run.finally(() => inflight.delete(key)).catch(() => {});
+  return run;
+}
@@ -0,0 +1,178 @@
+// netlify/lib/correlation.js
+// Cross-asset correlation of daily moves: a matrix over a chosen window, a rolling series for one
+// pair, and the pairs whose current correlation has broken from its usual level. Prices use log
+// returns; the 10y−2y spread, which crosses zero, uses daily changes.
+
+import { cached, TTL } from './cache.js';
+import { CHAINS, equityChain, history } from './providers.js';
+
+// The dashboard's tiles, by widget key.
+export const ASSETS = [
+  { id: 'sp500', label: 'SPY', chain: equityChain('SPY') },
+  { id: 'tsla', label: 'TSLA', chain: equityChain('TSLA') },
+  { id: 'lithium', label: 'LIT', chain: equityChain('LIT') },
+  { id: 'gold', label: 'Gold', chain: CHAINS.gold },
+  { id: 'dxy', label: 'DXY', chain: CHAINS.dxy },
+  { id: 'vix-index', label: 'VIX', chain: [{ provider: 'fred', series: 'VIXCLS' }] },
+  { id: 'yield', label: '10y−2y', chain: [{ provider: 'fred', series: 'T10Y2Y' }], moves: 'diff' },
+];
+
+export const WINDOWS = [20, 60, 250]; // trading days
+
+// What the default Risk Temperature model takes for granted (shared/riskModel.js):
+// each of these rising counts as risk-off, i.e. it should move against SPY.
+export const ASSUMPTIONS = [
+  { a: 'sp500', b: 'gold', expect: -1, note: 'Gold up = flight to safety' },
+  { a: 'sp500', b: 'dxy', expect: -1, note: 'Strong USD = tighter conditions' },
+  { a: 'sp500', b: 'vix-index', expect: -1, note: 'VIX up = fear' },
+];
+
+const ROLLING_POINTS = 250;  // rolling series length returned for the chart
+const BREAK_DELTA = 0.5;     // |current − usual| that counts as a regime break
+const WEAK = 0.1;            // |correlation| below this is no relationship either way
+const HISTORY_MONTHS = 26;   // the longest window, rolled over a year, plus holidays
+
+function monthsAgo(months) {
+  const d = new Date();
+  d.setUTCMonth(d.getUTCMonth() - months);
+  return d.toISOString().slice(0, 10);
+}
+
+/** date → daily move: log return, or first difference when `moves` is 'diff'. */
+export function dailyMoves(points, moves = 'log') {
+  const out = new Map();
+  for (let i = 1; i < points.length; i++) {
+    const prev = points[i - 1].value, cur = points[i].value;
+    const move = moves === 'diff' ? cur - prev : (prev > 0 && cur > 0 ? Math.log(cur / prev) : null);
+    if (move != null && Number.isFinite(move)) out.set(points[i].date, move);
+  }
+  return out;
+}
+
+/** Pearson correlation of two equal-length arrays, or null when either side is flat. */
+export function pearson(xs, ys) {
+  const n = xs.length;
+  if (n < 3) return null;
+  const mx = xs.reduce((a, b) => a + b, 0) / n;
+  const my = ys.reduce((a, b) => a + b, 0) / n;
+  let sxy = 0, sxx = 0, syy = 0;
+  for (let i = 0; i < n; i++) {
+    const dx = xs[i] - mx, dy = ys[i] - my;
+    sxy += dx * dy;
+    sxx += dx * dx;
+    syy += dy * dy;
+  }
+  return sxx > 0 && syy > 0 ? sxy / Math.sqrt(sxx * syy) : null;
+}
+
+const round = (v) => (v == null ? null : Number(v.toFixed(3)));
+
+// Days both series moved, oldest first: [{ date, x, y }].
+function paired(a, b) {
+  const out = [];
+  for (const [date, x] of a) if (b.has(date)) out.push({ date, x, y: b.get(date) });
+  return out.sort((p, q) => (p.date < q.date ? -1 : 1));
+}
+
+// Correlation over the last `window` shared days; null with fewer than ¾ of them.
+function windowCorr(pairs, window) {
+  const slice = pairs.slice(-window);
+  if (slice.length < Math.ceil(window * 0.75)) return null;
+  return pearson(slice.map(p => p.x), slice.map(p => p.y));
+}
+
+/** Correlation over each trailing `window` of shared days: [{ date, value }], last ROLLING_POINTS. */
+export function rollingCorr(pairs, window) {
+  const out = [];
+  for (let i = Math.max(window, pairs.length - ROLLING_POINTS + 1); i <= pairs.length; i++) {
+    const slice = pairs.slice(i - window, i);
+    const value = pearson(slice.map(p => p.x), slice.map(p => p.y));
+    if (value != null) out.push({ date: slice[slice.length - 1].date, value: round(value) });
+  }
+  return out;
+}
+
+// Every asset's daily history; one that fails is left out, not fatal.
+function loadAssets(start, event) {
+  return Promise.all(ASSETS.map(async (asset) => {
+    try {
+      const h = await cached(`corr:${asset.id}:${start}`, TTL.history, () => history(asset.chain, start, asset.label), event);
+      return { ...asset, points: h.points, source: h.source, tried: h.tried };
+    } catch (e) {
+      return { ...asset, points: [], tried: e.tried || [{ source: asset.label, ok: false, error: e.message }] };
+    }
+  }));
+}
+
+/**
+ * { window, windows, assets: [{ id, label, source }], matrix: [[r | null]] (assets order),
+ *   pair: { a, b, window, usual, points: [{ date, value }] } | null,
+ *   breaks: [{ a, b, current, usual, delta }], assumptions: [{ a, b, expect, note, current, status }],
+ *   asOf, tried }
+ * `usual` is the correlation over all ~2 years of shared days. Throws with `.tried` when fewer
+ * than two assets load.
+ */
+export async function correlations({ window = 60, pair = ['sp500', 'gold'], event } = {}) {
+  const loaded = await loadAssets(monthsAgo(HISTORY_MONTHS), event);
+  const tried = loaded.flatMap(a => a.tried || []);
+  const assets = loaded.filter(a => a.points.length > window);
+  if (assets.length < 2) {
+    const err = new Error('Not enough asset histories for correlations');
+    err.tried = tried;
+    throw err;
+  }
+
+  const moves = new Map(assets.map(a => [a.id, dailyMoves(a.points, a.moves)]));
+  const pairsOf = new Map();
+  const pairOf = (a, b) => {
+    const key = `${a}|${b}`;
+    if (!pairsOf.has(key)) pairsOf.set(key, paired(moves.get(a), moves.get(b)));
+    return pairsOf.get(key);
+  };
+  const corrOf = (a, b, w) => (moves.has(a) && moves.has(b) ? windowCorr(pairOf(a, b), w) : null);
+  const usualOf = (a, b) => {
+    if (!moves.has(a) || !moves.has(b)) return null;
+    const pairs = pairOf(a, b);
+    return pearson(pairs.map(p => p.x), pairs.map(p => p.y));
+  };
+
+  const matrix = assets.map((a, i) => assets.map((b, j) => {
+    if (i === j) return 1;
+    return round(i < j ? corrOf(a.id, b.id, window) : corrOf(b.id, a.id, window));
+  }));
+
+  const breaks = [];
+  for (let i = 0; i < assets.length; i++) {
+    for (let j = i + 1; j < assets.length; j++) {
+      const current = matrix[i][j];
+      const usual = usualOf(assets[i].id, assets[j].id);
+      if (current == null || usual == null || Math.abs(current - usual) < BREAK_DELTA) continue;
+      breaks.push({ a: assets[i].id, b: assets[j].id, current, usual: round(usual), delta: round(current - usual) });
+    }
+  }
+  breaks.sort((p, q) => Math.abs(q.delta) - Math.abs(p.delta));
+
+  const assumptions = ASSUMPTIONS.map(({ a, b, expect, note }) => {
+    const current = round(corrOf(a, b, window));
+    let status = null;
+    if (current != null) status = Math.abs(current) < WEAK ? 'weak' : Math.sign(current) === expect ? 'holds' : 'broken';
+    return { a, b, expect, note, current, status };
+  });
+
+  const [pa, pb] = pair;
+  const pairData = moves.has(pa) && moves.has(pb) && pa !== pb
+    ? { a: pa, b: pb, window, usual: round(usualOf(pa, pb)), points: rollingCorr(pairOf(pa, pb), window) }
+    : null;
+
+  return {
+    window,
+    windows: WINDOWS,
+    assets: assets.map(a => ({ id: a.id, label: a.label, source: a.source })),
+    matrix,
+    pair: pairData,
+    breaks,
+    assumptions,
+    asOf: assets.map(a => a.points[a.points.length - 1].date).sort().pop(),
+    tried,
+  };
+}
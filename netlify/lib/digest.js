@@ -0,0 +1,244 @@
+// netlify/lib/digest.js
+// The morning market digest: every indicator's level with its day and week change, the moves that
+// stand out for their own volatility, the yield curve, the Buffett band and the Risk Temperature
+// with its drivers. Built from the same readings as the dashboard (marketData.js) and rendered as
+// Markdown and HTML; digestScheduled archives one per day in the 'digests' store.
+
+import { addDays, easternDate, formatEastern, marketStatus } from '../../shared/marketCalendar.js';
+import { metricsFromResults, riskTemperature } from './alertRules.js';
+import { collectAll, collectVix } from './marketData.js';
+import { dailyHistory } from './moves.js';
+import { treasuryCurve } from './treasury.js';
+
+const NOTABLE_SIGMA = 2; // as the dashboard's unusual-moves strip
+const DRIVERS = 3;
+
+// Payload field → row. `value` picks the level; `diff` rows change in points, the rest in %.
+const INDICATORS = [
+  { field: 'spy', label: 'S&P 500 (SPY)' },
+  { field: 'tsla', label: 'Tesla (TSLA)' },
+  { field: 'lit', label: 'Lithium ETF (LIT)' },
+  { field: 'vixy', label: 'VIX futures ETF (VIXY)' },
+  { field: 'vix', label: 'VIX', pct: r => r.changePercent },
+  { field: 'gold', label: 'Gold' },
+  { field: 'dxy', label: 'US dollar (broad index)' },
+  { field: 'yieldCurve', label: '10y − 2y spread', value: r => r.spread, diff: true },
+];
+
+const round = (v, digits = 2) => (v == null || !Number.isFinite(v) ? null : Number(v.toFixed(digits)));
+
+// Change from the last daily close on or before `date` to `level`: % or, for `diff`, points.
+function changeSince(points, date, level, diff) {
+  const then = points.filter(p => p.date <= date).pop();
+  if (!then) return null;
+  return round(diff ? level - then.value : ((level - then.value) / then.value) * 100);
+}
+
+async function indicatorRow(def, reading, event) {
+  const row = { field: def.field, label: def.label, unit: def.diff ? 'pt' : '%' };
+  if (!reading || reading.error) return { ...row, error: reading?.error || 'no data' };
+  const level = def.value ? def.value(reading) : reading.price;
+  const day = String(reading.asOf || easternDate()).slice(0, 10);
+  Object.assign(row, { level, asOf: reading.asOf || null, source: reading.source, moves: reading.moves || null });
+  row.day = def.diff ? null : round(def.pct ? def.pct(reading) : reading.pct);
+  row.week = null;
+  try {
+    const { points } = await dailyHistory(def.field, event);
+    if (def.diff) row.day = changeSince(points, addDays(day, -1), level, true);
+    row.week = changeSince(points, addDays(day, -7), level, def.diff);
+  } catch (err) {
+    console.warn(`digest: no history for ${def.field}:`, err.message);
+  }
+  return row;
+}
+
+/**
+ * { date, generatedAt, lastClose, indicators: [{ field, label, level, unit, day, week, moves, asOf,
+ *   source } | { field, label, error }], notable, curve, buffett, risk, errors }
+ * `date` is the US/Eastern day the digest is written for.
+ */
+export async function buildDigest({ event, now = new Date() } = {}) {
+  const [results, vix] = await Promise.all([collectAll({ event }), collectVix({ event })]);
+  const readings = { ...results, vix };
+  const indicators = await Promise.all(INDICATORS.map(def => indicatorRow(def, readings[def.field], event)));
+
+  const notable = indicators
+    .filter(r => r.moves && Math.abs(r.moves.sigma) >= NOTABLE_SIGMA)
+    .sort((a, b) => Math.abs(b.moves.sigma) - Math.abs(a.moves.sigma))
+    .map(r => ({ label: r.label, sigma: r.moves.sigma, percentile: r.moves.percentile, day: r.day, unit: r.unit }));
+
+  let curve = null;
+  try {
+    const t = await treasuryCurve({ event });
+    curve = { asOf: t.asOf, spreads: t.spreads };
+  } catch (err) {
+    console.warn('digest: treasury curve unavailable:', err.message);
+  }
+  const yc = results.yieldCurve;
+  if (yc && !yc.error) curve = { ...curve, spread: yc.spread, inverted: yc.inverted, asOf: curve?.asOf || yc.asOf };
+
+  const b = results.buffett;
+  const buffett = b && !b.error
+    ? { ratio: b.ratio, band: b.bandLabel, sigma: b.trend?.sigma ?? null, percentile: b.percentile, quarter: b.quarter, since: b.history_since }
+    : null;
+
+  const scored = riskTemperature(metricsFromResults(results, vix));
+  const risk = scored && {
+    score: scored.score,
+    band: scored.band,
+    drivers: scored.parts
+      .slice()
+      .sort((p, q) => q.contribution - p.contribution)
+      .slice(0, DRIVERS)
+      .map(p => ({ label: p.label, points: round(p.contribution, 1) })),
+  };
+
+  return {
+    date: easternDate(now),
+    generatedAt: now.toISOString(),
+    lastClose: marketStatus(now).lastClose.at,
+    indicators,
+    notable,
+    curve,
+    buffett,
+    risk,
+    errors: indicators.filter(r => r.error).map(r => `${r.label}: ${r.error}`),
+  };
+}
+
+// ---------- rendering ----------
+
+const signed = (v, unit) => (v == null ? '–' : `${v >= 0 ? '+' : '−'}${Math.abs(v).toFixed(2)}${unit === 'pt' ? ' pt' : '%'}`);
+const sigmaText = (s) => `${s >= 0 ? '+' : '−'}${Math.abs(s).toFixed(1)}σ`;
+const level = (r) => (r.field === 'yieldCurve' ? `${r.level.toFixed(2)}%` : r.level.toFixed(2));
+
+function streakText(streak) {
+  if (!streak) return '';
+  const dur = streak.days >= 365 ? `${(streak.days / 365).toFixed(1)}y` : `${streak.days}d`;
+  return `${streak.state === 'inverted' ? 'inverted' : 'un-inverted'} since ${streak.since} (${streak.atLeast ? '≥ ' : ''}${dur})`;
+}
+
+// The digest as plain sentences and table rows, shared by both renderers.
+function sections(d) {
+  const risk = d.risk
+    ? `Risk Temperature ${d.risk.score} (${d.risk.band}) — drivers: ${d.risk.drivers.map(p => `${p.label} (${p.points} pts)`).join(', ')}`
+    : 'Risk Temperature unavailable';
+  const rows = d.indicators.map(r => (r.error
+    ? [r.label, 'unavailable', '', '', '']
+    : [r.label, level(r), signed(r.day, r.unit), signed(r.week, r.unit), r.moves ? sigmaText(r.moves.sigma) : '–']));
+  const notable = d.notable.map(n =>
+    `${n.label} ${sigmaText(n.sigma)} (${signed(n.day, n.unit)}), larger than ${n.percentile}% of the past year's daily moves`);
+  const curve = [];
+  const pct = (v) => `${v >= 0 ? '+' : '−'}${Math.abs(v).toFixed(2)}%`;
+  for (const [id, s] of Object.entries(d.curve?.spreads || {})) {
+    curve.push(`${id.replace('-', ' − ')} ${pct(s.value)}${s.streak ? `, ${streakText(s.streak)}` : ''}`);
+  }
+  if (!d.curve?.spreads?.['10Y-2Y'] && d.curve?.spread != null) {
+    curve.unshift(`10Y − 2Y ${pct(d.curve.spread)} (${d.curve.inverted ? 'inverted' : 'normal'})`);
+  }
+  const buffett = d.buffett
+    ? `${d.buffett.ratio.toFixed(1)}% of GDP — ${d.buffett.band}` +
+      (d.buffett.sigma != null ? ` (${sigmaText(d.buffett.sigma)} vs trend, ${Math.round(d.buffett.percentile)}th percentile since ${String(d.buffett.since).slice(0, 4)})` : '') +
+      (d.buffett.quarter ? ` · ${d.buffett.quarter}` : '')
+    : 'Unavailable';
+  return {
+    title: `Market digest — ${formatEastern(d.date, { time: false })}, ${d.date.slice(0, 4)}`,
+    subtitle: `Generated ${formatEastern(d.generatedAt)} · last close ${formatEastern(d.lastClose)}`,
+    risk,
+    head: ['Indicator', 'Level', 'Day', 'Week', 'Move'],
+    rows,
+    notable: notable.length ? notable : [`No move beyond ${NOTABLE_SIGMA}σ of its own recent volatility.`],
+    curve: curve.length ? curve : ['Unavailable'],
+    buffett,
+    errors: d.errors,
+  };
+}
+
+/** The digest as Markdown (tables in GitHub style). */
+export function digestMarkdown(d) {
+  const s = sections(d);
+  const table = [
+    `| ${s.head.join(' | ')} |`,
+    `|${s.head.map((_, i) => (i ? '---:' : '---')).join('|')}|`,
+    ...s.rows.map(r => `| ${r.join(' | ')} |`),
+  ];
+  return [
+    `# ${s.title}`,
+    `_${s.subtitle}_`,
+    '',
+    `**${s.risk}**`,
+    '',
+    '## Indicators',
+    ...table,
+    '',
+    '## Notable moves',
+    ...s.notable.map(n => `- ${n}`),
+    '',
+    '## Yield curve',
+    ...s.curve.map(c => `- ${c}`),
+    '',
+    '## Buffett indicator',
+    s.buffett,
+    ...(s.errors.length ? ['', '## Missing', ...s.errors.map(e => `- ${e}`)] : []),
+    '',
+  ].join('\n');
+}
+
+const escapeHtml = (v) => String(v).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+/** The digest as a standalone HTML page in the dashboard's colours. */
+export function digestHtml(d) {
+  const s = sections(d);
+  const list = (items) => `<ul>${items.map(i => `<li>${escapeHtml(i)}</li>`).join('')}</ul>`;
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<meta name="viewport" content="width=device-width,initial-scale=1" />
+<title>${escapeHtml(s.title)}</title>
+<style>
+  body{margin:0;padding:2rem 1rem;background:#1f212a;color:rgba(255,255,255,0.92);font-family:'Inter',system-ui,sans-serif;}
+  main{max-width:760px;margin:0 auto;}
+  h1{font-size:1.4rem;margin:0;} h2{font-size:1rem;margin:1.5rem 0 .5rem;color:rgba(200,205,220,0.7);text-transform:uppercase;letter-spacing:1px;}
+  .sub{font-size:.8rem;color:rgba(200,205,220,0.7);margin-top:4px;}
+  .risk{margin-top:1.25rem;padding:.75rem 1rem;border-radius:12px;background:#2c2f40;font-weight:600;}
+  table{width:100%;border-collapse:collapse;font-size:.85rem;} th,td{padding:6px 8px;border-bottom:1px solid rgba(255,255,255,0.08);text-align:right;}
+  th:first-child,td:first-child{text-align:left;} th{color:rgba(200,205,220,0.7);font-weight:600;}
+  li{margin:4px 0;font-size:.9rem;} a{color:#8b9cff;}
+</style>
+</head>
+<body>
+<main>
+  <h1>${escapeHtml(s.title)}</h1>
+  <div class="sub">${escapeHtml(s.subtitle)} · <a href="/digest/${escapeHtml(d.date)}.md">Markdown</a> · <a href="/digest/">Archive</a></div>
+  <div class="risk">${escapeHtml(s.risk)}</div>
+  <h2>Indicators</h2>
+  <table>
+    <thead><tr>${s.head.map(h => `<th>${escapeHtml(h)}</th>`).join('')}</tr></thead>
+    <tbody>${s.rows.map(r => `<tr>${r.map(c => `<td>${escapeHtml(c)}</td>`).join('')}</tr>`).join('')}</tbody>
+  </table>
+  <h2>Notable moves</h2>
+  ${list(s.notable)}
+  <h2>Yield curve</h2>
+  ${list(s.curve)}
+  <h2>Buffett indicator</h2>
+  <p>${escapeHtml(s.buffett)}</p>
+  ${s.errors.length ? `<h2>Missing</h2>${list(s.errors)}` : ''}
+</main>
+</body>
+</html>
+`;
+}
+
+/** The archive index: a list of digest dates, newest first, as HTML. */
+export function archiveHtml(dates) {
+  const items = dates.map(d => `<li><a href="/digest/${escapeHtml(d)}">${escapeHtml(`${formatEastern(d, { time: false })}, ${d.slice(0, 4)}`)}</a></li>`);
+  return `<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="utf-8" /><title>Market digests</title>
+<style>body{margin:0;padding:2rem 1rem;background:#1f212a;color:rgba(255,255,255,0.92);font-family:'Inter',system-ui,sans-serif;}main{max-width:760px;margin:0 auto;}a{color:#8b9cff;}li{margin:4px 0;}</style>
+</head>
+<body><main><h1>Market digests</h1>${items.length ? `<ul>${items.join('')}</ul>` : '<p>No digests yet.</p>'}</main></body>
+</html>
+`;
+}
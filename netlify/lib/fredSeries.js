@@ -0,0 +1,66 @@
+// netlify/lib/fredSeries.js
+// Any FRED series as a dashboard reading: id + transform (+ optional frequency aggregation),
+// labelled from FRED's own series metadata.
+
+import { cached, TTL } from './cache.js';
+import { fred } from './providers.js';
+
+// Our transform names → FRED `units`.
+export const TRANSFORMS = {
+  level: { units: 'lin', label: '' },
+  pct:   { units: 'pch', label: '% change' },
+  yoy:   { units: 'pc1', label: '% change YoY' },
+  diff:  { units: 'chg', label: 'change' },
+};
+
+export const FREQUENCIES = ['d', 'w', 'bw', 'm', 'q', 'sa', 'a'];
+
+export const SERIES_ID_RE = /^[A-Z0-9_]{1,30}$/;
+
+// FRED frequency_short → staleness class (see FRESHNESS in providers.js).
+const FRESHNESS_BY_FREQ = { D: 'end-of-day', W: 'weekly', BW: 'weekly', M: 'monthly', Q: 'quarterly', SA: 'annual', A: 'annual' };
+const FREQ_OF = { d: 'D', w: 'W', bw: 'BW', m: 'M', q: 'Q', sa: 'SA', a: 'A' };
+
+/** Validate request params → { id, transform, frequency } or throw with a 400-worthy message. */
+export function parseFredParams({ series_id, transform = 'level', frequency } = {}) {
+  const id = String(series_id || '').trim().toUpperCase();
+  if (!SERIES_ID_RE.test(id)) throw new Error(`Bad series_id: ${series_id}`);
+  if (!TRANSFORMS[transform]) throw new Error(`Unknown transform: ${transform}`);
+  if (frequency && !FREQUENCIES.includes(frequency)) throw new Error(`Unknown frequency: ${frequency}`);
+  return { id, transform, frequency: frequency || null };
+}
+
+/**
+ * Latest transformed value plus the last `points` observations for a sparkline:
+ * { id, meta, transform, frequency, value, previous, change, points, source, asOf, freshness, tried };
+ * throws with `.tried`.
+ */
+export function fredReading(event, { id, transform, frequency }, { points: keep = 60 } = {}) {
+  return cached(`fred:${id}:${transform}:${frequency || ''}`, TTL.daily, async () => {
+    const [meta, obs] = await Promise.all([
+      cached(`fred-meta:${id}`, TTL.daily, () => fred.meta(id), event),
+      fred.observations(id, { units: TRANSFORMS[transform].units, frequency, limit: keep }),
+    ]).catch((err) => {
+      err.tried = [{ source: `FRED ${id}`, ok: false, error: err.message }];
+      throw err;
+    });
+    const latest = obs[obs.length - 1];
+    const prior = obs[obs.length - 2];
+    const freqShort = frequency ? FREQ_OF[frequency] : meta.frequencyShort;
+    return {
+      id,
+      meta,
+      transform,
+      transformLabel: TRANSFORMS[transform].label,
+      frequency: freqShort,
+      value: latest.value,
+      previous: prior ? prior.value : null,
+      change: prior ? Number((latest.value - prior.value).toFixed(4)) : null,
+      points: obs,
+      source: `FRED ${id}`,
+      asOf: latest.date,
+      freshness: FRESHNESS_BY_FREQ[freqShort] || 'end-of-day',
+      tried: [{ source: `FRED ${id}`, ok: true }],
+    };
+  }, event);
+}
@@ -0,0 +1,219 @@
+// netlify/lib/health.js
+// Provider health over time: the per-call counters providers.js gathers in each instance are
+// merged into one blob per UTC day in the 'health' store, and read back as a report of success
+// rate, latency, HTTP statuses, quota hits and the last error per provider, plus how often each
+// fallback chain is answered by its first source and how often by a fallback.
+
+import { BUDGETS, budgetStatus, drainHealth, KEYS } from './providers.js';
+import { openStore } from './store.js';
+
+const STORE_NAME = 'health';
+export const MAX_DAYS = 7;
+const PROVIDERS = ['fred', 'twelvedata', 'fmp', 'cboe', 'stooq'];
+const NAMES = { fred: 'FRED', twelvedata: 'TwelveData', fmp: 'FMP', cboe: 'CBOE', stooq: 'Stooq' };
+
+const DIAGNOSIS = {
+  key: 'Key missing or refused',
+  quota: 'Quota or rate limit',
+  outage: 'Outage or network',
+  data: 'Unexpected payload',
+};
+
+const dayOf = (ms) => new Date(ms).toISOString().slice(0, 10);
+const later = (a, b) => (!a ? b : !b ? a : (b.at || b) > (a.at || a) ? b : a);
+
+function addCounts(into, from) {
+  for (const [k, n] of Object.entries(from || {})) into[k] = (into[k] || 0) + n;
+  return into;
+}
+
+function mergeProvider(a, b) {
+  if (!a) return b;
+  return {
+    calls: a.calls + b.calls,
+    ok: a.ok + b.ok,
+    ms: a.ms + b.ms,
+    maxMs: Math.max(a.maxMs, b.maxMs),
+    statuses: addCounts({ ...a.statuses }, b.statuses),
+    errors: addCounts({ ...a.errors }, b.errors),
+    lastError: later(a.lastError, b.lastError),
+    lastOkAt: later(a.lastOkAt, b.lastOkAt),
+  };
+}
+
+function mergeChain(a, b) {
+  if (!a) return b;
+  const newer = (b.lastAt || '') > (a.lastAt || '') ? b : a;
+  return {
+    ...a,
+    served: addCounts({ ...a.served }, b.served),
+    failed: a.failed + b.failed,
+    lastSource: newer.lastSource,
+    lastAt: newer.lastAt,
+  };
+}
+
+function merge(a, b) {
+  const out = { providers: { ...a.providers }, chains: { ...a.chains } };
+  for (const [p, h] of Object.entries(b.providers || {})) out.providers[p] = mergeProvider(out.providers[p], h);
+  for (const [k, c] of Object.entries(b.chains || {})) out.chains[k] = mergeChain(out.chains[k], c);
+  return out;
+}
+
+/**
+ * Add this instance's counters since the last call to today's blob. Call it once a handler is
+ * done with its upstream calls. Never throws — recording must not break the response.
+ */
+export async function recordHealth(event) {
+  const pending = drainHealth();
+  if (!Object.keys(pending.providers).length && !Object.keys(pending.chains).length) return;
+  try {
+    const store = await openStore(STORE_NAME, event);
+    const key = dayOf(Date.now());
+    // read-modify-write; two instances flushing at once can lose a few counts, which is fine here
+    await store.set(key, merge((await store.get(key)) || { providers: {}, chains: {} }, pending));
+  } catch (err) {
+    console.error('health record failed:', err);
+  }
+}
+
+function providerRow(id, h, budget) {
+  const calls = h?.calls || 0;
+  const configured = KEYS[id] ? Boolean(process.env[KEYS[id]]) : null;
+  const successRate = calls ? Number(((h.ok / calls) * 100).toFixed(1)) : null;
+  let status = 'idle';
+  if (configured === false) status = 'no key';
+  else if (calls && successRate >= 95) status = 'ok';
+  else if (calls && successRate >= 50) status = 'degraded';
+  else if (calls || h?.lastError) status = 'failing';
+  const lastError = h?.lastError ? { ...h.lastError, diagnosis: DIAGNOSIS[h.lastError.kind] } : null;
+  return {
+    id,
+    name: NAMES[id],
+    status,
+    configured,
+    calls,
+    ok: h?.ok || 0,
+    successRate,
+    avgMs: calls ? Math.round(h.ms / calls) : null,
+    maxMs: h?.maxMs || null,
+    statuses: h?.statuses || {},
+    errors: h?.errors || {},
+    // every 'quota' error: HTTP 429, a rate limit reported inside a 200 (TwelveData), our own budget
+    rateLimited: h?.errors?.quota || 0,
+    lastError,
+    lastOkAt: h?.lastOkAt || null,
+    budget: { ...BUDGETS[id], ...budget },
+  };
+}
+
+function chainRow(c) {
+  const answered = Object.values(c.served).reduce((a, n) => a + n, 0);
+  const total = answered + c.failed;
+  const share = (n) => (total ? Number(((n / total) * 100).toFixed(1)) : 0);
+  return {
+    mode: c.mode,
+    steps: c.steps,
+    total,
+    primary: share(c.served[c.steps[0]] || 0),
+    fallback: share(answered - (c.served[c.steps[0]] || 0)),
+    failed: share(c.failed),
+    served: c.steps.map(source => ({ source, count: c.served[source] || 0, share: share(c.served[source] || 0) })),
+    lastSource: c.lastSource,
+    lastAt: c.lastAt,
+  };
+}
+
+/**
+ * { days, from, providers: [{ id, name, status, configured, calls, ok, successRate, avgMs, maxMs,
+ *   statuses, errors, rateLimited, lastError: { at, kind, message, status, diagnosis }, lastOkAt,
+ *   budget }], chains: [{ mode, steps, total, primary, fallback, failed, served, lastSource, lastAt }] }
+ * over the last `days` UTC days, today included. Chains that lean on a fallback come first.
+ * `budget` is this instance's view (lastMinute, lastDay, blocked): budgets are per instance.
+ */
+export async function healthReport(event, { days = 1 } = {}) {
+  await recordHealth(event); // include this instance's own unsaved counters
+  const store = await openStore(STORE_NAME, event);
+  const keys = Array.from({ length: days }, (_, i) => dayOf(Date.now() - i * 86400000));
+  const blobs = await Promise.all(keys.map(k => store.get(k)));
+  const total = blobs.filter(Boolean).reduce(merge, { providers: {}, chains: {} });
+  const budgets = budgetStatus();
+  return {
+    days,
+    from: keys[keys.length - 1],
+    providers: PROVIDERS.map(id => providerRow(id, total.providers[id], budgets[id])),
+    chains: Object.values(total.chains)
+      .map(chainRow)
+      .sort((a, b) => (b.fallback + b.failed) - (a.fallback + a.failed) || b.total - a.total),
+  };
+}
+
+// ---------- status page ----------
+
+const escapeHtml = (v) => String(v).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+const STATUS_COLORS = { ok: '#00d084', degraded: '#ffcd3c', failing: '#ff6f6f', 'no key': '#ff6f6f', idle: 'rgba(200,205,220,0.7)' };
+
+function statusCounts(statuses) {
+  return Object.entries(statuses).map(([code, n]) => `${code}×${n}`).join(' ') || '–';
+}
+
+function errorCounts(errors) {
+  return Object.entries(errors).map(([kind, n]) => `${kind} ${n}`).join(', ') || '–';
+}
+
+/** The report as a standalone HTML page in the dashboard's colours. */
+export function healthHtml(report) {
+  const e = escapeHtml;
+  const providers = report.providers.map(p => `<tr>
+      <td><strong>${e(p.name)}</strong></td>
+      <td><span class="pill" style="color:${STATUS_COLORS[p.status]}">${e(p.status)}</span></td>
+      <td>${p.calls ? `${p.successRate}% of ${p.calls}` : '–'}</td>
+      <td>${p.avgMs != null ? `${p.avgMs} ms (max ${p.maxMs})` : '–'}</td>
+      <td>${e(statusCounts(p.statuses))}</td>
+      <td>${e(errorCounts(p.errors))}</td>
+      <td>${p.budget.lastMinute}/${p.budget.perMinute ?? '∞'} min${p.budget.perDay ? ` · ${p.budget.lastDay}/${p.budget.perDay} day` : ''}${p.budget.blocked ? ' · backing off' : ''}</td>
+    </tr>
+    ${p.lastError ? `<tr class="sub"><td></td><td colspan="6">Last error ${e(p.lastError.at.slice(0, 16).replace('T', ' '))} UTC — <strong>${e(p.lastError.diagnosis)}</strong>: ${e(p.lastError.message)}${p.lastOkAt ? ` · last success ${e(p.lastOkAt.slice(0, 16).replace('T', ' '))} UTC` : ''}</td></tr>` : ''}`).join('');
+  const chains = report.chains.map(c => `<tr>
+      <td>${e(c.mode)}</td>
+      <td>${c.served.map(s => `${e(s.source)} <span class="muted">${s.share}%</span>`).join(' → ')}</td>
+      <td>${c.total}</td>
+      <td${c.fallback ? ' class="warn"' : ''}>${c.fallback}%</td>
+      <td${c.failed ? ' class="bad"' : ''}>${c.failed}%</td>
+      <td>${e(c.lastSource || 'none')}</td>
+    </tr>`).join('');
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<meta name="viewport" content="width=device-width,initial-scale=1" />
+<title>Provider status</title>
+<style>
+  body{margin:0;padding:2rem 1rem;background:#1f212a;color:rgba(255,255,255,0.92);font-family:'Inter',system-ui,sans-serif;}
+  main{max-width:1100px;margin:0 auto;}
+  h1{font-size:1.4rem;margin:0;} h2{font-size:1rem;margin:1.5rem 0 .5rem;color:rgba(200,205,220,0.7);text-transform:uppercase;letter-spacing:1px;}
+  .sub,.muted{color:rgba(200,205,220,0.7);font-size:.8rem;}
+  table{width:100%;border-collapse:collapse;font-size:.85rem;} th,td{padding:6px 8px;border-bottom:1px solid rgba(255,255,255,0.08);text-align:left;vertical-align:top;}
+  tr.sub td{border-bottom:1px solid rgba(255,255,255,0.08);} th{color:rgba(200,205,220,0.7);font-weight:600;}
+  .pill{font-weight:700;text-transform:uppercase;font-size:.75rem;} .warn{color:#ffcd3c;} .bad{color:#ff6f6f;} a{color:#8b9cff;}
+</style>
+</head>
+<body>
+<main>
+  <h1>Provider status</h1>
+  <div class="sub">Since ${e(report.from)} (UTC) · ${[1, MAX_DAYS].map(d => (d === report.days ? `${d}d` : `<a href="?days=${d}">${d}d</a>`)).join(' · ')} · <a href="/">Dashboard</a></div>
+  <h2>Providers</h2>
+  <table>
+    <thead><tr><th>Provider</th><th>Status</th><th>Success</th><th>Latency</th><th>HTTP</th><th>Errors</th><th>Budget (this instance)</th></tr></thead>
+    <tbody>${providers}</tbody>
+  </table>
+  <h2>Fallback chains</h2>
+  ${report.chains.length ? `<table>
+    <thead><tr><th>Call</th><th>Served by</th><th>Requests</th><th>Fallback</th><th>All failed</th><th>Last answer</th></tr></thead>
+    <tbody>${chains}</tbody>
+  </table>` : '<p class="sub">No upstream calls recorded yet.</p>'}
+</main>
+</body>
+</html>
+`;
+}
@@ -0,0 +1,44 @@
+// netlify/lib/http.js
+// JSON responses with Cache-Control and ETag, so browsers and Netlify's CDN can reuse them.
+
+import { createHash } from 'node:crypto';
+
+/**
+ * 200 (or 304 when If-None-Match matches) with `payload` as JSON.
+ * `maxAge` is the browser/CDN freshness in seconds; 0 → no-store.
+ * The ETag ignores `timestamp`, which changes on every response even when the data does not.
+ */
+export function cachedJson(event, payload, { maxAge = 0, statusCode = 200 } = {}) {
+  const body = JSON.stringify(payload);
+  const { timestamp, ...stable } = payload || {};
+  const etag = `W/"${createHash('sha1').update(JSON.stringify(stable)).digest('base64url').slice(0, 27)}"`;
+  const cacheControl = maxAge > 0
+    ? `public, max-age=${maxAge}, stale-while-revalidate=${maxAge * 2}`
+    : 'no-store, must-revalidate';
+  const headers = {
+    'Content-Type': 'application/json',
+    'Cache-Control': cacheControl,
+    'Netlify-CDN-Cache-Control': cacheControl,
+    'Netlify-Vary': 'query', // ?symbols= / ?key= are different documents
+    ETag: etag,
+  };
+
+  const inm = event?.headers?.['if-none-match'];
+  if (statusCode === 200 && inm && inm.split(/\s*,\s*/).includes(etag)) {
+    return { statusCode: 304, headers, body: '' };
+  }
+  return { statusCode, headers, body };
+}
+
+/**
+ * The 500 every data function answers with when it has nothing to serve:
+ * { error, _debug: { tried }, timestamp }. `_debug` only when the error carries the provider
+ * chain's `tried` list (see providers.js); otherwise there is nothing to debug with.
+ */
+export function errorJson(event, err) {
+  return cachedJson(event, {
+    error: err.message || String(err),
+    ...(Array.isArray(err.tried) ? { _debug: { tried: err.tried } } : {}),
+    timestamp: new Date().toISOString(),
+  }, { statusCode: 500 });
+}
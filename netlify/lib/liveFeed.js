@@ -0,0 +1,89 @@
+// netlify/lib/liveFeed.js
+// Change journal behind the live function: for each widget, its last reading and the sequence
+// number it last changed at. A refresh cycle journals only the widgets whose value changed, so a
+// client that remembers the last sequence number it saw can catch up after reconnecting.
+// Sequence numbers are millisecond timestamps, so instances can hand them out without talking to
+// each other; catch-up looks back CATCH_UP_SLACK_MS to cover a cycle another instance was still
+// running when the client's previous connection ended (a repeat is harmless, a gap is not).
+
+import { createHash } from 'node:crypto';
+import { recordHealth } from './health.js';
+import { eachWidget, readingsOf } from './marketData.js';
+import { openStore } from './store.js';
+import { appendReadings } from './timeseries.js';
+
+const STORE_NAME = 'live';
+const JOURNAL_KEY = 'journal'; // { seq, widgets: { key: { seq, hash, data } } }
+const CATCH_UP_SLACK_MS = 30 * 1000;
+const PRUNE_MS = 7 * 24 * 60 * 60 * 1000; // watchlist tickers nobody has asked about for a week
+
+const BASE_FIELDS = ['spy', 'vixy', 'tsla', 'lit', 'yieldCurve', 'buffett', 'gold', 'dxy', 'vix'];
+
+// The nowcast Buffett ratio is a different reading from the published one, so it gets its own entry.
+const journalKey = (field, nowcast) => (field === 'buffett' && nowcast ? 'buffett:nowcast' : field);
+const fieldOf = (key) => (key === 'buffett:nowcast' ? 'buffett' : key);
+
+// What counts as a change: the reading without the list of sources tried to get it.
+function fingerprint(data) {
+  const { tried, ...value } = data || {};
+  return createHash('sha1').update(JSON.stringify(value)).digest('base64url').slice(0, 16);
+}
+
+const emptyJournal = () => ({ seq: 0, widgets: {} });
+
+export async function readJournal(event) {
+  const store = await openStore(STORE_NAME, event);
+  return (await store.get(JOURNAL_KEY)) || emptyJournal();
+}
+
+/** Journal entries newer than `since` for one client's widgets: [{ field, seq, data }], oldest first. */
+export function catchUp(journal, since, { symbols = [], nowcast = false } = {}) {
+  const keys = [...BASE_FIELDS.map(f => journalKey(f, nowcast)), ...symbols.map(sym => `quote:${sym}`)];
+  const floor = since - CATCH_UP_SLACK_MS;
+  return keys
+    .map(key => [key, journal.widgets[key]])
+    .filter(([, e]) => e && e.seq > floor)
+    .map(([key, e]) => ({ field: fieldOf(key), seq: e.seq, data: e.data }))
+    .sort((a, b) => a.seq - b.seq);
+}
+
+/**
+ * Refresh every widget once. `onChange({ field, seq, data })` runs as each changed widget settles
+ * (fastest provider first); unchanged ones are skipped. Returns the journal's latest sequence number.
+ */
+export async function runCycle(event, { symbols = [], nowcast = false } = {}, onChange = () => {}) {
+  const journal = await readJournal(event);
+  const changed = {};
+  const results = { quotes: {} };
+
+  for await (const { field, value } of eachWidget({ event, symbols, nowcast })) {
+    if (field.startsWith('quote:')) results.quotes[field.slice(6)] = value;
+    else results[field] = value;
+
+    const key = journalKey(field, nowcast);
+    const hash = fingerprint(value);
+    if (journal.widgets[key]?.hash === hash) continue;
+    const seq = Math.max(Date.now(), journal.seq + 1);
+    journal.seq = seq;
+    journal.widgets[key] = changed[key] = { seq, hash, data: value };
+    await onChange({ field, seq, data: value });
+  }
+
+  if (Object.keys(changed).length) {
+    // merge into the stored copy: other instances may have journaled other widgets meanwhile
+    const store = await openStore(STORE_NAME, event);
+    const latest = (await store.get(JOURNAL_KEY)) || emptyJournal();
+    for (const [key, entry] of Object.entries(changed)) {
+      if (!latest.widgets[key] || latest.widgets[key].seq < entry.seq) latest.widgets[key] = entry;
+    }
+    for (const [key, entry] of Object.entries(latest.widgets)) {
+      if (key.startsWith('quote:') && Date.now() - entry.seq > PRUNE_MS) delete latest.widgets[key];
+    }
+    latest.seq = Math.max(latest.seq, journal.seq);
+    await store.set(JOURNAL_KEY, latest);
+  }
+
+  await appendReadings(event, readingsOf(results));
+  await recordHealth(event);
+  return journal.seq;
+}
@@ -0,0 +1,192 @@
+// netlify/lib/marketData.js
+// Data layer behind fetchAllData and the single-series functions (gold, dxy, vixIndex, yieldSpread,
+// buffett): provider chains from providers.js behind the TTL cache in cache.js.
+// Shared with the scheduled functions so they see exactly what the dashboard sees.
+import { buffettSummary } from './buffett.js';
+import { cached, TTL } from './cache.js';
+import { marketStatus } from '../../shared/marketCalendar.js';
+import { withMoves } from './moves.js';
+import { CHAINS, equityChain, latest } from './providers.js';
+import { volTermStructure } from './volatility.js';
+
+export const SYMBOL_RE = /^[A-Z0-9.^=\/-]{1,15}$/;
+export const MAX_SYMBOLS = 12;
+
+/** Validate, upper-case, de-duplicate and cap a list of ticker symbols. */
+export function parseSymbols(list) {
+  return [...new Set(
+    (Array.isArray(list) ? list : String(list || '').split(','))
+      .map(s => String(s).trim().toUpperCase())
+      .filter(s => SYMBOL_RE.test(s))
+  )].slice(0, MAX_SYMBOLS);
+}
+
+// Provider result → the card payload { price, pct, source, asOf, freshness, maxLag?, tried }.
+// Throws with `.tried` when the whole chain fails.
+async function quoteOf(chain, label, ttl, event) {
+  const { value, ...meta } = await cached(`latest:${label}`, ttl, () => latest(chain, label), event);
+  return { price: value, ...meta };
+}
+
+// Same, but folded into `{ error }` so one failing card does not sink the whole payload.
+async function settle(promise) {
+  try {
+    return await promise;
+  } catch (err) {
+    return { error: err.message, _debug: { tried: err.tried || [] } };
+  }
+}
+
+const SETTLE_MS = 15 * 60 * 1000; // closing prints keep arriving for a few minutes after the bell
+
+/**
+ * How long a quote stays fresh: `ttl` in the session (and while the close settles); outside it
+ * the price cannot move, so until the next open, capped at TTL.daily.
+ */
+export function sessionTtl(ttl, now = new Date()) {
+  const m = marketStatus(now);
+  if (m.isOpen || +now - Date.parse(m.lastClose.at) < SETTLE_MS) return ttl;
+  return Math.max(ttl, Math.min(TTL.daily, Date.parse(m.nextOpen.at) - +now));
+}
+
+/** Any ticker: TwelveData → FMP within budget, cached for TTL.quote (longer out of hours). */
+export function equityQuote(symbol, event) {
+  return quoteOf(equityChain(symbol), symbol, sessionTtl(TTL.quote), event);
+}
+
+/** Gold spot: TwelveData XAU/USD → FMP GC=F → FRED fixes. */
+export function goldQuote(event) {
+  return quoteOf(CHAINS.gold, 'gold', TTL.quote, event);
+}
+
+/** Broad USD index (FRED DTWEXBGS, daily). */
+export function dxyQuote(event) {
+  return quoteOf(CHAINS.dxy, 'DXY', TTL.daily, event);
+}
+
+/** 10y − 2y Treasury spread from FRED DGS10 / DGS2 (daily). */
+export function yieldCurve(event) {
+  return cached('yieldCurve', TTL.daily, async () => {
+    const [a, b] = await Promise.all(['DGS10', 'DGS2'].map(series => latest([{ provider: 'fred', series }], series)));
+    const spread = Number((a.value - b.value).toFixed(2));
+    return {
+      spread,
+      inverted: spread < 0,
+      source: 'FRED DGS10 - DGS2',
+      asOf: a.asOf < b.asOf ? a.asOf : b.asOf, // the older leg dates the spread
+      freshness: 'end-of-day',
+      tried: [...a.tried, ...b.tried],
+      components: { '10Y': a.value, '2Y': b.value },
+    };
+  }, event);
+}
+
+/** Buffett indicator, latest quarter with percentile and trend band (see buffett.js). */
+export function buffettRatio(event, { nowcast = false } = {}) {
+  return buffettSummary(event, { nowcast });
+}
+
+// Last good spot VIX, served for up to 2h when every source fails.
+let lastVix = null;
+const VIX_STALE_MS = 2 * 60 * 60 * 1000;
+
+/** Spot VIX as { price, changePercent, source, asOf, freshness, tried } (FRED → FMP → CBOE → Stooq → last good). */
+export async function vixQuote(event) {
+  try {
+    const { price, pct, ...meta } = await quoteOf(CHAINS.vix, 'VIX', TTL.vix, event);
+    const r = { price: Number(price.toFixed(2)), changePercent: pct, ...meta };
+    lastVix = { ...r, at: Date.now() };
+    return r;
+  } catch (err) {
+    if (lastVix && Date.now() - lastVix.at < VIX_STALE_MS) {
+      const { at, ...r } = lastVix;
+      return { ...r, source: r.source + ' (cached)', tried: err.tried || [] };
+    }
+    throw err;
+  }
+}
+
+// One [field, promise] per grid widget, every promise settled to a reading or `{ error }`, with
+// the move's σ / percentile stats attached (lib/moves.js).
+// Watchlist tickers are `quote:SYM`; `vix` adds the spot VIX card (fetchAllData leaves it out).
+function widgetTasks({ event, symbols = [], nowcast = false, vix = false }) {
+  const tasks = [
+    ...[['spy', 'SPY'], ['vixy', 'VIXY'], ['tsla', 'TSLA'], ['lit', 'LIT']]
+      .map(([field, sym]) => [field, settle(equityQuote(sym, event))]),
+    ['yieldCurve', settle(yieldCurve(event))],
+    ['buffett', settle(buffettRatio(event, { nowcast }))],
+    ['gold', settle(goldQuote(event))],
+    ['dxy', settle(dxyQuote(event))],
+    ...symbols.map(sym => [`quote:${sym}`, settle(equityQuote(sym, event))]),
+    ...(vix ? [['vix', settle(vixQuote(event))]] : []),
+  ];
+  return tasks.map(([field, promise]) => [field, promise.then(r => withMoves(field, r, event))]);
+}
+
+/**
+ * Everything the dashboard grid shows, keyed like the fetchAllData payload:
+ * { spy, vixy, tsla, lit, quotes?, yieldCurve, buffett, gold, dxy }
+ * `nowcast` lets the Buffett ratio use a GDP nowcast for a quarter GDP has not reached yet.
+ * Each entry is cached per series (lib/cache.js), so concurrent viewers share upstream calls.
+ */
+export async function collectAll({ event, symbols = [], nowcast = false } = {}) {
+  const settled = Object.fromEntries(await Promise.all(
+    widgetTasks({ event, symbols, nowcast }).map(async ([field, promise]) => [field, await promise])
+  ));
+  const { spy, vixy, tsla, lit, yieldCurve: yc, buffett, gold, dxy } = settled;
+  const results = { spy, vixy, tsla, lit };
+  if (symbols.length) results.quotes = Object.fromEntries(symbols.map(sym => [sym, settled[`quote:${sym}`]]));
+  Object.assign(results, { yieldCurve: yc, buffett, gold, dxy });
+  return results;
+}
+
+/**
+ * The same widgets (plus spot VIX) as they settle, fastest first: yields { field, value }.
+ * Used by the live feed so one slow provider does not hold back every card.
+ */
+export async function* eachWidget({ event, symbols = [], nowcast = false } = {}) {
+  const pending = new Map(widgetTasks({ event, symbols, nowcast, vix: true })
+    .map(([field, promise]) => [field, promise.then(value => ({ field, value }))]));
+  while (pending.size) {
+    const next = await Promise.race(pending.values());
+    pending.delete(next.field);
+    yield next;
+  }
+}
+
+// Payload field → readings key (lib/timeseries.js), and where the value sits in that field.
+const RECORDED = {
+  spy:        { key: 'sp500' },
+  vixy:       { key: 'vixy' },
+  tsla:       { key: 'tsla' },
+  lit:        { key: 'lithium' },
+  gold:       { key: 'gold' },
+  dxy:        { key: 'dxy' },
+  yieldCurve: { key: 'yield', value: r => r.spread },
+  buffett:    { key: 'buffett', value: r => r.ratio },
+  vix:        { key: 'vix-index', pct: r => r.changePercent, skip: r => String(r.source).endsWith('(cached)') },
+};
+
+/** Readings to log for a (possibly partial) payload; watchlist quotes become `symbol:SYM`. */
+export function readingsOf(results) {
+  const readings = [];
+  for (const [field, def] of Object.entries(RECORDED)) {
+    const r = results[field];
+    if (!r || r.error || def.skip?.(r)) continue;
+    readings.push({ key: def.key, value: def.value ? def.value(r) : r.price, pct: def.pct ? def.pct(r) : r.pct, source: r.source });
+  }
+  for (const [sym, q] of Object.entries(results.quotes || {})) {
+    if (!q.error) readings.push({ key: `symbol:${sym}`, value: q.price, pct: q.pct, source: q.source });
+  }
+  return readings;
+}
+
+/** Spot VIX (the dashboard fetches it separately from fetchAllData); `{ error }` on failure. */
+export async function collectVix({ event } = {}) {
+  return withMoves('vix', await settle(vixQuote(event)), event);
+}
+
+/** VIX term structure card (volatility function); `{ error }` on failure. */
+export function collectVol({ event } = {}) {
+  return settle(volTermStructure({ event }));
+}
@@ -0,0 +1,103 @@
+// netlify/lib/moves.js
+// How unusual a card's latest move is for that series: the move in standard deviations of its
+// recent realized volatility (σ), and its size as a percentile of the past year's daily moves.
+// Daily history goes through the same cache entries as functions/history.js (`history:<key>:1Y`),
+// so these stats and the 1Y drill-down chart share one upstream call an hour.
+
+import { cached, TTL } from './cache.js';
+import { dailyMoves } from './correlation.js';
+import { CHAINS, equityChain, history } from './providers.js';
+
+const REALIZED_DAYS = 20; // trading days behind the σ
+const YEAR_DAYS = 250;    // daily moves behind the percentile
+
+// Payload field → history key and chain (as in functions/history.js), where the value and the
+// day's % change sit in the reading, and how a move is measured ('diff' for the spread, which
+// crosses zero; log returns otherwise). The Buffett ratio is quarterly: no daily moves to judge.
+const SERIES = {
+  spy:        { key: 'sp500', chain: equityChain('SPY') },
+  vixy:       { key: 'vixy', chain: equityChain('VIXY') },
+  tsla:       { key: 'tsla', chain: equityChain('TSLA') },
+  lit:        { key: 'lithium', chain: equityChain('LIT') },
+  gold:       { key: 'gold', chain: CHAINS.gold },
+  dxy:        { key: 'dxy', chain: CHAINS.dxy },
+  yieldCurve: { key: 'yield', chain: [{ provider: 'fred', series: 'T10Y2Y' }], value: r => r.spread, moves: 'diff' },
+  vix:        { key: 'vix-index', chain: [{ provider: 'fred', series: 'VIXCLS' }], pct: r => r.changePercent },
+};
+
+function seriesFor(field) {
+  if (SERIES[field]) return SERIES[field];
+  const sym = /^quote:(.+)$/.exec(field)?.[1];
+  return sym ? { key: `symbol:${sym}`, chain: equityChain(sym) } : null;
+}
+
+function yearAgo() {
+  const d = new Date();
+  d.setUTCMonth(d.getUTCMonth() - 12);
+  return d.toISOString().slice(0, 10);
+}
+
+function sampleSd(values) {
+  const mean = values.reduce((a, b) => a + b, 0) / values.length;
+  return Math.sqrt(values.reduce((a, v) => a + (v - mean) ** 2, 0) / (values.length - 1));
+}
+
+/**
+ * Stats for the move that produced `value` (and `pct`, when the provider reported one) on the day
+ * of `asOf`, against the daily `points` before that day:
+ * { sigma, percentile, vol, unit, window, days } or null when there is too little history.
+ * `vol` is one day's realized σ in `unit` ('%' for returns, 'pt' for differences).
+ */
+export function moveStats(points, { value, pct, asOf }, moves = 'log') {
+  const day = asOf ? String(asOf).slice(0, 10) : new Date().toISOString().slice(0, 10);
+  const past = points.filter(p => p.date < day);
+  if (past.length < REALIZED_DAYS + 1) return null;
+
+  const prev = past[past.length - 1].value;
+  let move = null;
+  if (moves === 'diff') move = value - prev;
+  else if (pct != null && Number.isFinite(Number(pct))) move = Math.log(1 + Number(pct) / 100);
+  else if (value > 0 && prev > 0) move = Math.log(value / prev);
+  if (move == null || !Number.isFinite(move)) return null;
+
+  const year = [...dailyMoves(past, moves).values()].slice(-YEAR_DAYS);
+  const sd = sampleSd(year.slice(-REALIZED_DAYS));
+  if (!(sd > 0)) return null;
+  const smaller = year.filter(m => Math.abs(m) < Math.abs(move)).length;
+  return {
+    sigma: Number((move / sd).toFixed(2)),
+    percentile: Number(((smaller / year.length) * 100).toFixed(1)),
+    vol: Number((moves === 'diff' ? sd : sd * 100).toFixed(3)),
+    unit: moves === 'diff' ? 'pt' : '%',
+    window: REALIZED_DAYS,
+    days: year.length,
+  };
+}
+
+/** A payload field's last year of daily history { points, source, tried }, or null when it has none. */
+export async function dailyHistory(field, event) {
+  const def = seriesFor(field);
+  if (!def) return null;
+  return cached(`history:${def.key}:1Y`, TTL.history, () => history(def.chain, yearAgo()), event);
+}
+
+/**
+ * `reading` with `moves` (see moveStats) added when the payload field has daily history.
+ * Never throws: without history the reading goes out as it came in.
+ */
+export async function withMoves(field, reading, event) {
+  const def = seriesFor(field);
+  if (!def || !reading || reading.error) return reading;
+  try {
+    const { points } = await dailyHistory(field, event);
+    const moves = moveStats(points, {
+      value: def.value ? def.value(reading) : reading.price,
+      pct: def.pct ? def.pct(reading) : reading.pct,
+      asOf: reading.asOf,
+    }, def.moves);
+    return moves ? { ...reading, moves } : reading;
+  } catch (err) {
+    console.warn(`moves: no history for ${def.key}:`, err.message);
+    return reading;
+  }
+}
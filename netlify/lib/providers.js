@@ -0,0 +1,491 @@
+// netlify/lib/providers.js
+// One client per upstream (FRED, TwelveData, FMP, CBOE CSV, Stooq CSV), shared by every function.
+// Latest-value calls resolve to { value, pct, source, asOf, freshness } or throw; history calls
+// to { points: [{ date, value }], source }. Chains add `tried` (every source attempted, in order).
+// Each request is checked against a per-provider budget first, so a busy dashboard falls
+// through to the next source instead of burning a free tier. Every call and every chain's answer
+// is also counted for lib/health.js (drainHealth), which keeps them across instances.
+
+import { easternDate } from '../../shared/marketCalendar.js';
+
+const UA = 'Mozilla/5.0 (compatible; NetlifyFunction/1.0)';
+
+// Free-tier limits (per warm instance; cold starts reset the counters).
+// TwelveData: 8 credits/min, 800/day. FMP: 250/day. FRED: 120/min. CBOE/Stooq publish none.
+export const BUDGETS = {
+  twelvedata: { perMinute: 8, perDay: 800 },
+  fmp:        { perMinute: 10, perDay: 250 },
+  fred:       { perMinute: 120 },
+  cboe:       { perMinute: 30 },
+  stooq:      { perMinute: 30 },
+};
+
+// Staleness classes → how many business days the observation date may trail today before a
+// reading counts as stale. A chain step can override with `lagDays` (e.g. weekly releases).
+export const FRESHNESS = {
+  'real-time': 1,
+  delayed: 1,
+  'end-of-day': 2,
+  weekly: 8,
+  monthly: 45,
+  quarterly: 130, // Z.1 / GDP land roughly two quarters after the period they describe
+  annual: 400,
+};
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+const usage = {}; // provider → { calls: [ms…], blockedUntil }
+
+function take(provider) {
+  const limit = BUDGETS[provider] || {};
+  const now = Date.now();
+  const u = usage[provider] || (usage[provider] = { calls: [], blockedUntil: 0 });
+  u.calls = u.calls.filter(t => now - t < DAY);
+  if (now < u.blockedUntil) throw budgetError(provider, 'rate-limited upstream');
+  if (limit.perMinute && u.calls.filter(t => now - t < MINUTE).length >= limit.perMinute) {
+    throw budgetError(provider, `${limit.perMinute}/min budget used`);
+  }
+  if (limit.perDay && u.calls.length >= limit.perDay) throw budgetError(provider, `${limit.perDay}/day budget used`);
+  u.calls.push(now);
+}
+
+function budgetError(provider, why) {
+  const err = new Error(`${provider}: ${why}`);
+  err.budget = true;
+  err.kind = 'quota';
+  return err;
+}
+
+// Upstream said 429: stop asking for a minute.
+function backOff(provider) {
+  const u = usage[provider] || (usage[provider] = { calls: [], blockedUntil: 0 });
+  u.blockedUntil = Date.now() + MINUTE;
+}
+
+/** Calls made in the last minute / day per provider, for diagnostics. */
+export function budgetStatus() {
+  const now = Date.now();
+  return Object.fromEntries(Object.entries(BUDGETS).map(([p, limit]) => {
+    const calls = usage[p]?.calls || [];
+    return [p, {
+      ...limit,
+      lastMinute: calls.filter(t => now - t < MINUTE).length,
+      lastDay: calls.filter(t => now - t < DAY).length,
+      blocked: now < (usage[p]?.blockedUntil || 0),
+    }];
+  }));
+}
+
+// ---------- Health ----------
+
+// What went wrong with a request, as far as the dashboard's owner can act on it: 'key' (missing
+// or refused), 'quota' (our budget or the provider's rate limit), 'outage' (network, timeout,
+// 5xx) or 'data' (the provider answered with something unusable).
+function requestErrorKind(e) {
+  if (e.kind) return e.kind;
+  if (e.status === 401 || e.status === 403) return 'key';
+  if (e.status === 429) return 'quota';
+  if (e.status >= 500 || (!e.status && e.name !== 'SyntaxError')) return 'outage';
+  return 'data';
+}
+
+// Counters since the last drainHealth():
+// providers: provider → { calls, ok, ms, maxMs, statuses: { code: n }, errors: { kind: n }, lastError, lastOkAt }
+// chains: 'mode:step → step…' → { mode, steps, served: { source: n }, failed, lastSource, lastAt }
+let health = { providers: {}, chains: {} };
+
+function providerHealth(provider) {
+  return health.providers[provider] || (health.providers[provider] = {
+    calls: 0, ok: 0, ms: 0, maxMs: 0, statuses: {}, errors: {}, lastError: null, lastOkAt: null,
+  });
+}
+
+// One HTTP round trip (`status` null when it never got an answer).
+function noteCall(provider, { status, ms, ok }) {
+  const h = providerHealth(provider);
+  h.calls += 1;
+  h.ms += ms;
+  h.maxMs = Math.max(h.maxMs, ms);
+  if (status) h.statuses[status] = (h.statuses[status] || 0) + 1;
+  if (ok) {
+    h.ok += 1;
+    h.lastOkAt = new Date().toISOString();
+  }
+}
+
+// A failure, whether or not a request went out (budget refusals and missing keys do not).
+// Each error counts once; one without a `kind` was the client rejecting a payload.
+function noteError(provider, e) {
+  if (e.noted) return;
+  e.noted = true;
+  const h = providerHealth(provider);
+  const kind = e.kind || 'data';
+  h.errors[kind] = (h.errors[kind] || 0) + 1;
+  h.lastError = { at: new Date().toISOString(), kind, message: String(e.message || e).slice(0, 200), status: e.status || null };
+}
+
+/** The counters gathered since the previous call, reset (see lib/health.js). */
+export function drainHealth() {
+  const out = health;
+  health = { providers: {}, chains: {} };
+  return out;
+}
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// Budgeted GET with retry/backoff on network errors and 5xx. 4xx (including 429) fail fast.
+// `check(body)` throws for an error the provider reports inside a 200.
+async function request(provider, url, { as = 'json', attempts = 2, delay = 300, check } = {}) {
+  let lastErr;
+  for (let i = 0; i < attempts; i++) {
+    try {
+      take(provider);
+    } catch (e) {
+      noteError(provider, e);
+      throw e;
+    }
+    const started = Date.now();
+    let status = null;
+    try {
+      const res = await fetch(url, { headers: { 'User-Agent': UA } });
+      status = res.status;
+      if (res.status === 429) backOff(provider);
+      if (!res.ok) {
+        const err = new Error(`${provider} HTTP ${res.status}`);
+        err.status = res.status;
+        throw err;
+      }
+      const body = as === 'text' ? await res.text() : await res.json();
+      check?.(body);
+      noteCall(provider, { status, ms: Date.now() - started, ok: true });
+      return body;
+    } catch (e) {
+      noteCall(provider, { status, ms: Date.now() - started, ok: false });
+      e.kind = requestErrorKind(e);
+      noteError(provider, e);
+      lastErr = e;
+      if (e.budget || (e.status && e.status < 500)) break;
+      if (i < attempts - 1) await sleep(delay * (i + 1));
+    }
+  }
+  throw lastErr;
+}
+
+function pctChange(cur, prev) {
+  return Number.isFinite(prev) && prev !== 0 ? Number((((cur - prev) / prev) * 100).toFixed(2)) : null;
+}
+
+function finite(v) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+// Env var holding each provider's key; CBOE and Stooq need none.
+export const KEYS = { fred: 'FRED_KEY', twelvedata: 'TWELVE_KEY', fmp: 'FMP_KEY' };
+
+function requireKey(name) {
+  const key = process.env[name];
+  if (!key) {
+    const err = new Error(`${name} missing`);
+    err.kind = 'key';
+    const provider = Object.keys(KEYS).find(p => KEYS[p] === name);
+    if (provider) noteError(provider, err);
+    throw err;
+  }
+  return key;
+}
+
+// ---------- FRED ----------
+
+/**
+ * Clean ascending observations [{ date, value }] ('.' gaps dropped).
+ * `units` is FRED's transform (lin, chg, ch1, pch, pc1, …); `frequency` aggregates (d, w, m, q, a).
+ */
+async function fredObservations(seriesId, { start, end, limit, frequency, units } = {}) {
+  const params = new URLSearchParams({ series_id: seriesId, api_key: requireKey('FRED_KEY'), file_type: 'json' });
+  if (start) params.set('observation_start', start);
+  if (end) params.set('observation_end', end);
+  if (frequency) params.set('frequency', frequency);
+  if (units) params.set('units', units);
+  if (limit) {
+    params.set('sort_order', 'desc');
+    params.set('limit', String(limit));
+  }
+  const json = await request('fred', `https://api.stlouisfed.org/fred/series/observations?${params.toString()}`, { attempts: 3 });
+  if (!json || !Array.isArray(json.observations)) throw new Error(`Bad FRED payload (${seriesId})`);
+  const points = json.observations
+    .filter(o => o && o.value !== '.' && o.value != null && !Number.isNaN(Number(o.value)))
+    .map(o => ({ date: o.date, value: Number(o.value) }));
+  if (limit) points.reverse();
+  if (points.length === 0) throw new Error(`FRED ${seriesId}: no observations`);
+  return points;
+}
+
+async function fredLatest(seriesId) {
+  const today = easternDate(); // FRED dates are US calendar days; UTC runs a day ahead every evening
+  const points = (await fredObservations(seriesId, { limit: 25 })).filter(p => p.date <= today);
+  if (points.length === 0) throw new Error(`FRED ${seriesId}: no recent observation`);
+  const latest = points[points.length - 1];
+  const prior = points[points.length - 2];
+  return {
+    value: latest.value,
+    pct: prior ? pctChange(latest.value, prior.value) : null,
+    source: `FRED ${seriesId}`,
+    asOf: latest.date,
+    freshness: 'end-of-day',
+  };
+}
+
+// Series metadata: { id, title, units, frequency, frequencyShort, lastUpdated, observationEnd }.
+async function fredMeta(seriesId) {
+  const params = new URLSearchParams({ series_id: seriesId, api_key: requireKey('FRED_KEY'), file_type: 'json' });
+  const json = await request('fred', `https://api.stlouisfed.org/fred/series?${params.toString()}`);
+  const s = json?.seriess?.[0];
+  if (!s) throw new Error(`FRED ${seriesId}: unknown series`);
+  return {
+    id: s.id,
+    title: s.title,
+    units: s.units,
+    unitsShort: s.units_short,
+    frequency: s.frequency,
+    frequencyShort: s.frequency_short,
+    lastUpdated: s.last_updated,
+    observationEnd: s.observation_end,
+  };
+}
+
+// One release's publication dates in [start, end], scheduled ones included: ascending 'YYYY-MM-DD'.
+async function fredReleaseDates(releaseId, { start, end }) {
+  const params = new URLSearchParams({
+    release_id: String(releaseId),
+    api_key: requireKey('FRED_KEY'),
+    file_type: 'json',
+    realtime_start: start,
+    realtime_end: end,
+    include_release_dates_with_no_data: 'true',
+    sort_order: 'asc',
+  });
+  const json = await request('fred', `https://api.stlouisfed.org/fred/release/dates?${params.toString()}`);
+  if (!json || !Array.isArray(json.release_dates)) throw new Error(`Bad FRED release dates payload (${releaseId})`);
+  return json.release_dates.map(r => r.date);
+}
+
+export const fred = {
+  observations: fredObservations,
+  latest: fredLatest,
+  meta: fredMeta,
+  releaseDates: fredReleaseDates,
+  async series(seriesId, start, { units } = {}) {
+    return { points: await fredObservations(seriesId, { start, units }), source: `FRED ${seriesId}` };
+  },
+};
+
+// ---------- TwelveData ----------
+
+async function twelveJson(path, params) {
+  const qs = new URLSearchParams({ ...params, apikey: requireKey('TWELVE_KEY') });
+  return request('twelvedata', `https://api.twelvedata.com/${path}?${qs.toString()}`, {
+    check(json) {
+      if (json.status !== 'error') return;
+      if (json.code === 429) backOff('twelvedata'); // credits exhausted arrive as HTTP 200
+      const err = new Error(`TwelveData: ${json.message || 'error'}`);
+      if (json.code) err.status = json.code;
+      else err.kind = 'data';
+      throw err;
+    },
+  });
+}
+
+export const twelveData = {
+  async quote(symbol) {
+    const json = await twelveJson('quote', { symbol });
+    const value = finite(json.close);
+    if (value == null) throw new Error(`TwelveData ${symbol}: bad price`);
+    return { value, pct: finite(json.percent_change), source: `TwelveData ${symbol}`, asOf: json.datetime || null, freshness: 'real-time' };
+  },
+  async series(symbol, start) {
+    const json = await twelveJson('time_series', { symbol, interval: '1day', start_date: start, order: 'ASC', outputsize: '5000' });
+    if (!Array.isArray(json.values)) throw new Error('TwelveData: bad payload');
+    const points = json.values
+      .map(v => ({ date: String(v.datetime).slice(0, 10), value: Number(v.close) }))
+      .filter(p => Number.isFinite(p.value));
+    return { points, source: `TwelveData ${symbol}` };
+  },
+};
+
+// ---------- Financial Modeling Prep ----------
+
+export const fmp = {
+  async quote(symbol) {
+    const url = `https://financialmodelingprep.com/api/v3/quote/${encodeURIComponent(symbol)}?apikey=${requireKey('FMP_KEY')}`;
+    const json = await request('fmp', url);
+    if (!Array.isArray(json) || !json[0]) throw new Error(`FMP ${symbol}: bad payload`);
+    const q = json[0];
+    const value = finite(q.price ?? q.previousClose);
+    if (value == null) throw new Error(`FMP ${symbol}: bad price`);
+    return {
+      value,
+      pct: finite(q.changesPercentage),
+      source: `FMP ${symbol}`,
+      asOf: q.timestamp ? new Date(q.timestamp * 1000).toISOString() : null,
+      freshness: 'delayed',
+    };
+  },
+  async series(symbol, start) {
+    const url = `https://financialmodelingprep.com/api/v3/historical-price-full/${encodeURIComponent(symbol)}?from=${start}&apikey=${requireKey('FMP_KEY')}`;
+    const json = await request('fmp', url);
+    if (!json || !Array.isArray(json.historical)) throw new Error('FMP: bad payload');
+    const points = json.historical
+      .map(h => ({ date: h.date, value: Number(h.close) }))
+      .filter(p => Number.isFinite(p.value))
+      .sort((a, b) => (a.date < b.date ? -1 : 1)); // FMP returns newest first
+    return { points, source: `FMP ${symbol}` };
+  },
+};
+
+// ---------- CSV: CBOE & Stooq (no key) ----------
+
+// Daily closes [{ date, value }] of an OHLC CSV with a header row; `dateOf` normalises the date column.
+function csvCloses(csv, label, dateOf = d => d) {
+  const trimmed = String(csv).trim();
+  if (!trimmed || trimmed === 'NO DATA') throw new Error(`${label}: NO DATA`);
+  const points = trimmed.split('\n').slice(1)
+    .map(l => l.split(','))
+    .filter(r => r.length >= 5)
+    .map(r => ({ date: dateOf(r[0].trim()), value: finite(r[4]) }))
+    .filter(p => p.value != null);
+  if (points.length === 0) throw new Error(`${label}: no data rows`);
+  return points;
+}
+
+// Last two closes of the same CSV → a latest-value result.
+function lastCloses(csv, label, dateOf) {
+  const points = csvCloses(csv, label, dateOf);
+  const last = points[points.length - 1];
+  const prev = points.length >= 2 ? points[points.length - 2].value : null;
+  return { value: last.value, pct: pctChange(last.value, prev), source: label, asOf: last.date, freshness: 'end-of-day' };
+}
+
+const cboeDate = (d) => {
+  const [m, day, y] = d.split('/');
+  return y ? `${y}-${m.padStart(2, '0')}-${day.padStart(2, '0')}` : d;
+};
+
+function cboeCsv(index) {
+  return request('cboe', `https://cdn.cboe.com/api/global/us_indices/daily_prices/${encodeURIComponent(index)}_History.csv`, { as: 'text' });
+}
+
+export const cboe = {
+  // header: DATE,OPEN,HIGH,LOW,CLOSE with MM/DD/YYYY dates; VIX, VIX9D, VIX3M, VIX6M, …
+  async latest(index = 'VIX') {
+    return lastCloses(await cboeCsv(index), `CBOE ${index} CSV`, cboeDate);
+  },
+  async series(index, start) {
+    const points = csvCloses(await cboeCsv(index), `CBOE ${index} CSV`, cboeDate).filter(p => !start || p.date >= start);
+    return { points, source: `CBOE ${index} CSV` };
+  },
+};
+
+export const stooq = {
+  // header: Date,Open,High,Low,Close,Volume
+  async latest(symbol) {
+    const csv = await request('stooq', `https://stooq.com/q/d/l/?s=${encodeURIComponent(symbol)}&i=d`, { as: 'text' });
+    return lastCloses(csv, `Stooq ${symbol} CSV`);
+  },
+};
+
+// ---------- Chains ----------
+
+// A chain is an ordered list of steps: { provider, symbol | series | index, lagDays?, units? }.
+export const CHAINS = {
+  gold: [
+    { provider: 'twelvedata', symbol: 'XAU/USD' },
+    { provider: 'fmp', symbol: 'GC=F' },
+    { provider: 'fred', series: 'GOLDPMGBD228NLBM' }, // PM fix
+    { provider: 'fred', series: 'GOLDAMGBD228NLBM' }, // AM fix
+  ],
+  vix: [
+    { provider: 'fred', series: 'VIXCLS' },
+    { provider: 'fmp', symbol: '^VIX' },
+    { provider: 'cboe', index: 'VIX' },
+    { provider: 'stooq', symbol: '^vix' },
+  ],
+  dxy: [{ provider: 'fred', series: 'DTWEXBGS', lagDays: 7 }], // H.10 broad index is released weekly
+};
+
+/** Any ticker: TwelveData, then FMP. */
+export function equityChain(symbol) {
+  return [{ provider: 'twelvedata', symbol }, { provider: 'fmp', symbol }];
+}
+
+const PROVIDER_NAMES = { twelvedata: 'TwelveData', fmp: 'FMP', fred: 'FRED', cboe: 'CBOE', stooq: 'Stooq' };
+
+function stepLabel(step) {
+  return `${PROVIDER_NAMES[step.provider] || step.provider} ${step.symbol || step.series || step.index || ''}`.trim();
+}
+
+function latestStep(step) {
+  switch (step.provider) {
+    case 'twelvedata': return twelveData.quote(step.symbol);
+    case 'fmp':        return fmp.quote(step.symbol);
+    case 'fred':       return fred.latest(step.series);
+    case 'cboe':       return cboe.latest(step.index);
+    case 'stooq':      return stooq.latest(step.symbol);
+    default:           throw new Error(`Unknown provider ${step.provider}`);
+  }
+}
+
+function historyStep(step, start) {
+  switch (step.provider) {
+    case 'twelvedata': return twelveData.series(step.symbol, start);
+    case 'fmp':        return fmp.series(step.symbol, start);
+    case 'fred':       return fred.series(step.series, start, { units: step.units });
+    case 'cboe':       return cboe.series(step.index, start);
+    default:           throw new Error(`${step.provider}: no history client`);
+  }
+}
+
+// Which step of a chain answered (the first one, or a fallback), or that none did.
+function noteChain(mode, chain, source) {
+  const steps = chain.map(stepLabel);
+  const key = `${mode}:${steps.join(' → ')}`;
+  const c = health.chains[key] || (health.chains[key] = { mode, steps, served: {}, failed: 0, lastSource: null, lastAt: null });
+  if (source) c.served[source] = (c.served[source] || 0) + 1;
+  else c.failed += 1;
+  c.lastSource = source;
+  c.lastAt = new Date().toISOString();
+}
+
+// `tried` lists every step attempted: [{ source, ok, error? }].
+async function firstOf(chain, run, label, mode) {
+  const tried = [];
+  for (const step of chain) {
+    try {
+      const r = await run(step);
+      tried.push({ source: stepLabel(step), ok: true });
+      noteChain(mode, chain, stepLabel(step));
+      return { ...r, ...(step.lagDays ? { maxLag: step.lagDays } : {}), tried };
+    } catch (e) {
+      tried.push({ source: stepLabel(step), ok: false, error: e.message || String(e) });
+      noteError(step.provider, e);
+    }
+  }
+  noteChain(mode, chain, null);
+  const err = new Error(`All ${label} sources failed`);
+  err.tried = tried;
+  throw err;
+}
+
+/** First source in the chain that answers → { value, pct, source, asOf, freshness, maxLag?, tried }; throws with `.tried`. */
+export function latest(chain, label = 'quote') {
+  return firstOf(chain, latestStep, label, 'latest');
+}
+
+/** First non-empty daily history in the chain → { points, source, tried }; throws with `.tried`. */
+export function history(chain, start, label = 'history') {
+  return firstOf(chain, async (step) => {
+    const r = await historyStep(step, start);
+    if (r.points.length === 0) throw new Error(`${r.source}: empty`);
+    return r;
+  }, label, 'history');
+}
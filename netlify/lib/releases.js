@@ -0,0 +1,67 @@
+// netlify/lib/releases.js
+// Economic release calendar from FRED's release dates: when each release that feeds a card (or
+// that the desk watches anyway) last came out and when it is next due. FRED lists dates only;
+// the times are each release's usual publication time in US/Eastern.
+
+import { addDays, easternDate, easternInstant } from '../../shared/marketCalendar.js';
+import { cached, TTL } from './cache.js';
+import { fred } from './providers.js';
+
+// `widgets`: the grid cards a release moves; `series`: FRED ids it publishes, so a FRED card on
+// one of them is matched too.
+export const RELEASES = [
+  { id: 'cpi', releaseId: 10, name: 'CPI', time: '08:30', series: ['CPIAUCSL', 'CPILFESL', 'CPIAUCNS'] },
+  { id: 'payrolls', releaseId: 50, name: 'Employment Situation', time: '08:30', series: ['PAYEMS', 'UNRATE', 'CES0500000003'] },
+  { id: 'gdp', releaseId: 53, name: 'GDP', time: '08:30', widgets: ['buffett'], series: ['GDP', 'GDPC1', 'A191RL1Q225SBEA'] },
+  { id: 'fomc', releaseId: 101, name: 'FOMC statement', time: '14:00', series: ['DFEDTARU', 'DFEDTARL'] },
+  { id: 'z1', releaseId: 52, name: 'Z.1 Financial Accounts', time: '12:00', widgets: ['buffett'], series: ['NCBEILQ027S'] },
+  { id: 'h15', releaseId: 18, name: 'H.15 Selected Interest Rates', time: '16:15', widgets: ['yield', 'curve'], series: ['DGS10', 'DGS2', 'T10Y2Y', 'DFF'] },
+  { id: 'h10', releaseId: 17, name: 'H.10 Foreign Exchange Rates', time: '16:15', widgets: ['dxy'], series: ['DTWEXBGS'] },
+];
+
+const LOOK_BACK_DAYS = 10;
+const LOOK_AHEAD_DAYS = 100; // covers the quarterly releases (GDP, Z.1)
+
+/**
+ * { releases, tried }. `releases` has one entry per release in RELEASES order:
+ * { id, releaseId, name, time, widgets, series, last: { date, at } | null, next: { date, at } | null,
+ *   upcoming: [{ date, at }] } — `at` is the ISO instant; `upcoming` is every date due in the window.
+ * `tried` is one { source, ok, error? } per release; a release FRED did not answer keeps null
+ * dates. Throws with `.tried` only when none answered.
+ */
+export async function releaseCalendar({ event, now = new Date() } = {}) {
+  const today = easternDate(now);
+  const range = { start: addDays(today, -LOOK_BACK_DAYS), end: addDays(today, LOOK_AHEAD_DAYS) };
+  const results = await Promise.allSettled(RELEASES.map(r =>
+    cached(`release-dates:${r.releaseId}:${today}`, TTL.daily, () => fred.releaseDates(r.releaseId, range), event)));
+  const tried = results.map((res, i) => ({
+    source: `FRED release ${RELEASES[i].releaseId} (${RELEASES[i].name})`,
+    ok: res.status === 'fulfilled',
+    ...(res.status === 'rejected' ? { error: res.reason?.message || String(res.reason) } : {}),
+  }));
+  if (!tried.some(t => t.ok)) {
+    const err = new Error('FRED release dates unavailable');
+    err.tried = tried;
+    throw err;
+  }
+
+  const releases = RELEASES.map((r, i) => {
+    const all = [...new Set(results[i].value || [])]
+      .sort()
+      .map(date => ({ date, at: easternInstant(date, r.time) }));
+    const past = all.filter(d => Date.parse(d.at) <= +now);
+    const upcoming = all.filter(d => Date.parse(d.at) > +now);
+    return {
+      id: r.id,
+      releaseId: r.releaseId,
+      name: r.name,
+      time: r.time,
+      widgets: r.widgets || [],
+      series: r.series,
+      last: past[past.length - 1] || null,
+      next: upcoming[0] || null,
+      upcoming,
+    };
+  });
+  return { releases, tried };
+}
@@ -0,0 +1,59 @@
+// netlify/lib/store.js
+// Tiny JSON key/value store shared by the functions.
+// Deployed: Netlify Blobs (connected from the Lambda event).
+// Local (`netlify dev`, plain node): one JSON file per key under STORE_DIR.
+
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+
+const STORE_DIR = process.env.STORE_DIR || path.join(process.cwd(), '.netlify', 'store');
+
+function fileStore(name) {
+  const dir = path.join(STORE_DIR, name);
+  const file = (key) => path.join(dir, `${encodeURIComponent(key)}.json`);
+  return {
+    async get(key) {
+      try {
+        return JSON.parse(await fs.readFile(file(key), 'utf8'));
+      } catch (e) {
+        if (e.code === 'ENOENT') return null;
+        throw e;
+      }
+    },
+    async set(key, value) {
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(file(key), JSON.stringify(value));
+    },
+    async delete(key) {
+      await fs.rm(file(key), { force: true });
+    },
+    async list(prefix = '') {
+      const names = await fs.readdir(dir).catch(() => []);
+      return names
+        .filter(n => n.endsWith('.json'))
+        .map(n => decodeURIComponent(n.slice(0, -5)))
+        .filter(k => k.startsWith(prefix));
+    },
+  };
+}
+
+async function blobStore(name, event) {
+  const { getStore, connectLambda } = await import('@netlify/blobs');
+  if (event?.blobs) connectLambda(event);
+  const store = getStore(name);
+  return {
+    get: (key) => store.get(key, { type: 'json' }),
+    set: (key, value) => store.setJSON(key, value),
+    delete: (key) => store.delete(key),
+    async list(prefix = '') {
+      const { blobs } = await store.list({ prefix });
+      return blobs.map(b => b.key);
+    },
+  };
+}
+
+/** Open a named store: { get, set, delete, list }. Pass the handler's event so Blobs can connect. */
+export async function openStore(name, event) {
+  if (event?.blobs || process.env.NETLIFY_BLOBS_CONTEXT) return blobStore(name, event);
+  return fileStore(name);
+}
@@ -0,0 +1,143 @@
+// netlify/lib/timeseries.js
+// Append-only readings log on top of store.js (Netlify Blobs deployed, files locally).
+// Points are { t, v, pct?, src?, c? } (ascending t); `c` carries per-component detail for
+// composite series (Risk Temperature). Blobs per series key:
+//   <key>/<YYYY-MM-DD>/<instance>  chunk: what one function instance recorded that day
+//   <key>/<YYYY-MM-DD>             a finished day, merged from its chunks
+//   <key>/<YYYY-MM>                a finished month, merged from its days
+// Each instance only ever writes its own chunk, so an append never reads the store and
+// concurrent writers cannot drop each other's points. Reads merge whatever is there and fold
+// days and months that are over into one blob, so long ranges stay a few reads.
+
+import { randomBytes } from 'node:crypto';
+import { addDays, addMonths } from '../../shared/marketCalendar.js';
+import { openStore } from './store.js';
+
+const STORE_NAME = 'readings';
+// Every open tab hits fetchAllData every 2 min; keep at most one point per series per minute.
+const MIN_SPACING_MS = 60 * 1000;
+// A day or month is merged once it has been over this long: no append for it is still in flight.
+const SETTLE_MS = 10 * 60 * 1000;
+
+const INSTANCE = randomBytes(6).toString('hex');
+// This instance's chunks (blob key → points), so appending never has to read them back.
+const chunks = new Map();
+const writes = new Map();
+
+const monthOf = (iso) => iso.slice(0, 7);
+
+function monthsBetween(from, to) {
+  const out = [];
+  for (let m = monthOf(from); m <= monthOf(to); m = monthOf(addMonths(`${m}-01`, 1))) out.push(m);
+  return out;
+}
+
+// Ascending, at most one point per MIN_SPACING_MS (chunks from different instances overlap).
+function mergePoints(lists) {
+  const out = [];
+  for (const p of lists.flat().sort((a, b) => (a.t < b.t ? -1 : a.t > b.t ? 1 : 0))) {
+    const last = out[out.length - 1];
+    if (!last || Date.parse(p.t) - Date.parse(last.t) >= MIN_SPACING_MS) out.push(p);
+  }
+  return out;
+}
+
+/**
+ * Append readings: [{ key, value, pct?, source?, components?, ts? }]. Non-finite values are skipped.
+ * Never throws — recording must not break the response it piggybacks on.
+ */
+export async function appendReadings(event, readings) {
+  try {
+    const valid = readings.filter(r => r && r.key && r.value != null && Number.isFinite(Number(r.value)));
+    if (valid.length === 0) return;
+    const store = await openStore(STORE_NAME, event);
+
+    const touched = new Set();
+    for (const r of valid) {
+      const t = new Date(r.ts || Date.now()).toISOString();
+      const blobKey = `${r.key}/${t.slice(0, 10)}/${INSTANCE}`;
+      if (!chunks.has(blobKey)) chunks.set(blobKey, []);
+      const chunk = chunks.get(blobKey);
+      const last = chunk[chunk.length - 1];
+      if (last && Date.parse(t) - Date.parse(last.t) < MIN_SPACING_MS) continue;
+      const point = { t, v: Number(r.value) };
+      if (r.pct != null && Number.isFinite(Number(r.pct))) point.pct = Number(r.pct);
+      if (r.source) point.src = String(r.source).slice(0, 60);
+      if (Array.isArray(r.components) && r.components.length) point.c = r.components;
+      chunk.push(point);
+      touched.add(blobKey);
+    }
+
+    // one write at a time per chunk, so an older copy never lands after a newer one
+    await Promise.all([...touched].map((blobKey) => {
+      const write = (writes.get(blobKey) || Promise.resolve()).then(() => store.set(blobKey, chunks.get(blobKey)));
+      writes.set(blobKey, write.catch(() => {}));
+      return write;
+    }));
+
+    // yesterday's chunks are on the store; keep only the current ones in memory
+    const yesterday = addDays(new Date().toISOString().slice(0, 10), -1);
+    for (const blobKey of chunks.keys()) {
+      if (blobKey.split('/').at(-2) < yesterday) {
+        chunks.delete(blobKey);
+        writes.delete(blobKey);
+      }
+    }
+  } catch (err) {
+    console.error('timeseries append failed:', err);
+  }
+}
+
+/**
+ * Points of the blobs `parts` plus `target` (when it exists). Once the period is over they are
+ * merged into `target` and dropped. A part that has gone missing means another reader merged
+ * it first, so its result is returned instead of writing a partial one over it.
+ */
+async function mergeBlobs(store, target, hasTarget, parts, settled) {
+  const [base, ...read] = await Promise.all([hasTarget ? store.get(target) : null, ...parts.map(p => store.get(p))]);
+  if (read.some(p => p == null)) return (await store.get(target)) || mergePoints([base || [], ...read.filter(Boolean)]);
+  const points = mergePoints([base || [], ...read]);
+  if (settled && parts.length) {
+    await store.set(target, points);
+    await Promise.all(parts.map(p => store.delete(p)));
+  }
+  return points;
+}
+
+/** Points for `key` with from <= t <= to (ISO strings or dates). */
+export async function querySeries(event, key, from, to) {
+  const store = await openStore(STORE_NAME, event);
+  const fromIso = new Date(from).toISOString();
+  const toIso = new Date(to).toISOString();
+  const now = Date.now();
+  const over = (end) => now - Date.parse(`${end}T00:00:00Z`) >= SETTLE_MS;
+
+  // what exists under the key: merged months, and per day its merged blob and chunks
+  const months = new Set();
+  const days = new Map();
+  for (const name of await store.list(`${key}/`)) {
+    const rest = name.slice(key.length + 1);
+    if (/^\d{4}-\d{2}$/.test(rest)) months.add(rest);
+    const day = /^(\d{4}-\d{2}-\d{2})(?:\/[0-9a-f]+)?$/.exec(rest)?.[1];
+    if (day) days.set(day, [...(days.get(day) || []), name]);
+  }
+
+  const loaded = await Promise.all(monthsBetween(fromIso, toIso).map(async (month) => {
+    const monthKey = `${key}/${month}`;
+    const monthDays = [...days.keys()].filter(d => monthOf(d) === month);
+    if (over(addMonths(`${month}-01`, 1))) {
+      return mergeBlobs(store, monthKey, months.has(month), monthDays.flatMap(d => days.get(d)), true);
+    }
+    const inRange = monthDays.filter(d => d >= fromIso.slice(0, 10) && d <= toIso.slice(0, 10));
+    return mergePoints([
+      months.has(month) ? (await store.get(monthKey)) || [] : [],
+      ...await Promise.all(inRange.map((day) => {
+        const dayKey = `${key}/${day}`;
+        const names = days.get(day);
+        return mergeBlobs(store, dayKey, names.includes(dayKey), names.filter(n => n !== dayKey), over(addDays(day, 1)));
+      })),
+    ]);
+  }));
+
+  return mergePoints(loaded).filter(p => p.t >= fromIso && p.t <= toIso);
+}
@@ -0,0 +1,141 @@
+// netlify/lib/treasury.js
+// The Treasury constant-maturity curve (FRED DGS1MO … DGS30), key spreads and inversion streaks.
+
+import { addDays, addMonths, onOrBefore } from '../../shared/marketCalendar.js';
+import { cached, TTL } from './cache.js';
+import { fred } from './providers.js';
+
+export const TENORS = [
+  { tenor: '1M', series: 'DGS1MO' },
+  { tenor: '3M', series: 'DGS3MO' },
+  { tenor: '6M', series: 'DGS6MO' },
+  { tenor: '1Y', series: 'DGS1' },
+  { tenor: '2Y', series: 'DGS2' },
+  { tenor: '3Y', series: 'DGS3' },
+  { tenor: '5Y', series: 'DGS5' },
+  { tenor: '7Y', series: 'DGS7' },
+  { tenor: '10Y', series: 'DGS10' },
+  { tenor: '20Y', series: 'DGS20' },
+  { tenor: '30Y', series: 'DGS30' },
+];
+
+// long − short; FRED publishes the first two ready-made with full history for streaks.
+export const SPREADS = [
+  { id: '10Y-2Y', long: '10Y', short: '2Y', series: 'T10Y2Y' },
+  { id: '10Y-3M', long: '10Y', short: '3M', series: 'T10Y3M' },
+  { id: '30Y-5Y', long: '30Y', short: '5Y' },
+];
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function curveFrom(seriesPoints, date) {
+  const yields = {};
+  let asOf = null;
+  for (const { tenor } of TENORS) {
+    const p = onOrBefore(seriesPoints[tenor], date, 10);
+    if (!p) continue;
+    yields[tenor] = p.value;
+    if (!asOf || p.date > asOf) asOf = p.date;
+  }
+  return Object.keys(yields).length ? { date: asOf, yields } : null;
+}
+
+// Every tenor over [start, end]; missing tenors (e.g. a series gap) are left out, not fatal.
+async function loadTenors(start, end, event) {
+  const key = `treasury:${start}:${end || 'now'}`;
+  const ttl = end ? TTL.quarterly : TTL.daily; // a closed past window never changes
+  return cached(key, ttl, async () => {
+    const tried = [];
+    const entries = await Promise.all(TENORS.map(async ({ tenor, series }) => {
+      try {
+        const points = await fred.observations(series, { start, end });
+        tried.push({ source: `FRED ${series}`, ok: true });
+        return [tenor, points];
+      } catch (e) {
+        tried.push({ source: `FRED ${series}`, ok: false, error: e.message });
+        return [tenor, []];
+      }
+    }));
+    if (entries.every(([, pts]) => pts.length === 0)) {
+      const err = new Error('No Treasury yields available');
+      err.tried = tried;
+      throw err;
+    }
+    return { points: Object.fromEntries(entries), tried };
+  }, event);
+}
+
+/**
+ * Current run of the spread's sign: { state: 'inverted' | 'normal', since, days }.
+ * `since` is the first observation of the run, so for 'normal' it is the un-inversion date.
+ */
+export function streakOf(points) {
+  if (!points.length) return null;
+  const last = points[points.length - 1];
+  const inverted = last.value < 0;
+  let since = last.date;
+  for (let i = points.length - 1; i >= 0 && (points[i].value < 0) === inverted; i--) since = points[i].date;
+  const days = Math.round((Date.parse(last.date) - Date.parse(since)) / 86400000);
+  const complete = points[0].date < since; // false → the run started before our history does
+  return { state: inverted ? 'inverted' : 'normal', since, days, ...(complete ? {} : { atLeast: true }) };
+}
+
+async function spreadStreak(series, event) {
+  return cached(`streak:${series}`, TTL.daily, async () => {
+    return streakOf(await fred.observations(series, { start: '1976-01-01' }));
+  }, event);
+}
+
+/**
+ * { tenors, curves: { today, '1M', '1Y', compare? }, spreads: { id: { value, inverted, streak? } },
+ *   source, asOf, freshness, tried }
+ * `compare` is an optional YYYY-MM-DD to overlay.
+ */
+export async function treasuryCurve({ event, compare } = {}) {
+  const today = new Date().toISOString().slice(0, 10);
+  const recent = await loadTenors(addDays(addMonths(today, -12), -10), null, event);
+
+  const latestDate = Object.values(recent.points).flat().reduce((a, p) => (p.date > a ? p.date : a), '');
+  const curves = {
+    today: curveFrom(recent.points, latestDate),
+    '1M': curveFrom(recent.points, addMonths(latestDate, -1)),
+    '1Y': curveFrom(recent.points, addMonths(latestDate, -12)),
+  };
+
+  const tried = [...recent.tried];
+  if (compare && DATE_RE.test(compare) && compare < today) {
+    try {
+      const past = await loadTenors(addDays(compare, -10), compare, event);
+      curves.compare = curveFrom(past.points, compare);
+    } catch (e) {
+      tried.push(...(e.tried || [{ source: `Treasury curve ${compare}`, ok: false, error: e.message }]));
+    }
+  }
+
+  const y = curves.today?.yields || {};
+  const rows = await Promise.all(SPREADS.map(async (s) => {
+    if (y[s.long] == null || y[s.short] == null) return null;
+    const value = Number((y[s.long] - y[s.short]).toFixed(2));
+    let streak = null;
+    if (s.series) {
+      try {
+        streak = await spreadStreak(s.series, event);
+        tried.push({ source: `FRED ${s.series}`, ok: true });
+      } catch (e) {
+        tried.push({ source: `FRED ${s.series}`, ok: false, error: e.message });
+      }
+    }
+    return [s.id, { value, inverted: value < 0, ...(streak ? { streak } : {}) }];
+  }));
+  const spreads = Object.fromEntries(rows.filter(Boolean));
+
+  return {
+    tenors: TENORS.map(t => t.tenor),
+    curves,
+    spreads,
+    source: 'FRED constant-maturity Treasury yields',
+    asOf: curves.today?.date || null,
+    freshness: 'end-of-day',
+    tried,
+  };
+}
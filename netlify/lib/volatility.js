@@ -0,0 +1,131 @@
+// netlify/lib/volatility.js
+// VIX term structure (CBOE VIX9D, VIX, VIX3M, VIX6M), the VIX/VIX3M ratio, SPY realized
+// volatility against implied, and a regime label. Backwardation (VIX above VIX3M) is the
+// stress signal; the spot level alone is not.
+
+import { addMonths, onOrBefore } from '../../shared/marketCalendar.js';
+import { cached, TTL } from './cache.js';
+import { cboe, equityChain, history } from './providers.js';
+
+// Term structure points, shortest first. VIX and VIX3M are required for the ratio.
+export const TERMS = [
+  { term: '9D', index: 'VIX9D' },
+  { term: '30D', index: 'VIX', required: true },
+  { term: '3M', index: 'VIX3M', required: true },
+  { term: '6M', index: 'VIX6M' },
+];
+
+// First match wins. `ratio` is VIX / VIX3M; above 1 the curve is in backwardation.
+export const REGIMES = [
+  { id: 'crisis', label: 'Crisis', test: ({ vix, ratio }) => vix >= 35 || ratio >= 1.1 },
+  { id: 'stress', label: 'Stress', test: ({ ratio }) => ratio >= 1 },
+  { id: 'elevated', label: 'Elevated', test: ({ vix, ratio }) => vix >= 20 || ratio >= 0.95 },
+  { id: 'calm', label: 'Calm', test: ({ vix }) => vix < 15 },
+  { id: 'normal', label: 'Normal', test: () => true },
+];
+
+export function regimeFor(reading) {
+  return REGIMES.find(r => r.test(reading));
+}
+
+const REALIZED_WINDOW = 21; // trading days, to match VIX's 30 calendar days
+
+/** Annualised close-to-close volatility (%) of the last `window` daily returns, or null. */
+export function realizedVol(points, window = REALIZED_WINDOW) {
+  if (points.length < window + 1) return null;
+  const closes = points.slice(-(window + 1)).map(p => p.value);
+  const returns = closes.slice(1).map((c, i) => Math.log(c / closes[i]));
+  const mean = returns.reduce((a, b) => a + b, 0) / returns.length;
+  const variance = returns.reduce((a, r) => a + (r - mean) ** 2, 0) / (returns.length - 1);
+  return Number((Math.sqrt(variance * 252) * 100).toFixed(2));
+}
+
+// Every term over the last ~13 months; optional terms that fail are left out, not fatal.
+function loadTerms(start, event) {
+  return cached(`vol-terms:${start}`, TTL.vix, async () => {
+    const rows = await Promise.all(TERMS.map(async ({ term, index }) => {
+      try {
+        const { points } = await cboe.series(index, start);
+        return { term, points, tried: { source: `CBOE ${index}`, ok: true } };
+      } catch (e) {
+        return { term, points: [], tried: { source: `CBOE ${index}`, ok: false, error: e.message } };
+      }
+    }));
+    const points = Object.fromEntries(rows.map(r => [r.term, r.points]));
+    const tried = rows.map(r => r.tried);
+    if (TERMS.some(t => t.required && points[t.term].length === 0)) {
+      const err = new Error('VIX / VIX3M unavailable');
+      err.tried = tried;
+      throw err;
+    }
+    return { points, tried };
+  }, event);
+}
+
+function curveOn(points, date) {
+  const values = {};
+  for (const { term } of TERMS) {
+    const p = onOrBefore(points[term], date, 10);
+    if (p) values[term] = p.value;
+  }
+  return { date, values };
+}
+
+/**
+ * { terms, curves: { today, '1M' }, vix, vix3m, ratio, ratioPercentile (1y),
+ *   structure: 'contango' | 'backwardation', frontInverted (VIX9D > VIX),
+ *   realized: { window, value, source } | null, premium (VIX − realized), regime, regimeLabel,
+ *   source, asOf, freshness, tried }
+ */
+export async function volTermStructure({ event } = {}) {
+  const today = new Date().toISOString().slice(0, 10);
+  const { points, tried: termsTried } = await loadTerms(addMonths(today, -13), event);
+  const tried = [...termsTried];
+
+  const asOf = points['30D'][points['30D'].length - 1].date;
+  const curves = {
+    today: curveOn(points, asOf),
+    '1M': curveOn(points, addMonths(asOf, -1)),
+  };
+  const vix = curves.today.values['30D'];
+  const vix3m = curves.today.values['3M'];
+  const ratio = vix3m ? Number((vix / vix3m).toFixed(3)) : null;
+
+  // Share of the last year's sessions with a lower ratio than today.
+  const threeMonth = new Map(points['3M'].map(p => [p.date, p.value]));
+  const ratios = points['30D'].filter(p => threeMonth.has(p.date)).map(p => p.value / threeMonth.get(p.date));
+  const ratioPercentile = ratio == null || !ratios.length
+    ? null
+    : Number(((ratios.filter(r => r <= ratio).length / ratios.length) * 100).toFixed(1));
+
+  let realized = null;
+  try {
+    const spy = await cached('realized:SPY', TTL.history,
+      () => history(equityChain('SPY'), addMonths(today, -3), 'SPY history'), event);
+    const value = realizedVol(spy.points);
+    if (value != null) realized = { window: REALIZED_WINDOW, value, source: spy.source };
+    tried.push(...spy.tried);
+  } catch (e) {
+    tried.push(...(e.tried || [{ source: 'SPY history', ok: false, error: e.message }]));
+  }
+
+  const regime = regimeFor({ vix, ratio: ratio ?? 0 });
+  return {
+    terms: TERMS.map(t => t.term),
+    curves,
+    vix,
+    vix3m,
+    ratio,
+    ratioPercentile,
+    structure: ratio != null && ratio > 1 ? 'backwardation' : 'contango',
+    frontInverted: curves.today.values['9D'] != null && curves.today.values['9D'] > vix,
+    realized,
+    premium: realized ? Number((vix - realized.value).toFixed(2)) : null,
+    regime: regime.id,
+    regimeLabel: regime.label,
+    source: 'CBOE VIX term structure CSV',
+    asOf,
+    freshness: 'end-of-day',
+    tried,
+  };
+}
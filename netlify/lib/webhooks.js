@@ -0,0 +1,97 @@
+// netlify/lib/webhooks.js
+// POST alert payloads to user-configured webhooks, and the daily digest to its webhook.
+// Formats: 'json' (generic), 'slack' (incoming webhook), 'discord' (channel webhook).
+
+export const FORMATS = ['json', 'slack', 'discord'];
+const TIMEOUT_MS = 8000;
+const DISCORD_MAX = 2000; // characters per message
+
+export function formatPayload(format, alert) {
+  const line = `🚨 ${alert.text} — now ${Number(alert.value).toFixed(2)}`;
+  if (format === 'slack') return { text: line };
+  if (format === 'discord') return { content: line };
+  return {
+    type: 'market-alert',
+    ruleId: alert.rule.id,
+    widget: alert.rule.widget,
+    field: alert.rule.field,
+    op: alert.rule.op,
+    threshold: alert.rule.value,
+    value: alert.value,
+    text: alert.text,
+    firedAt: alert.firedAt,
+  };
+}
+
+/** The daily digest (lib/digest.js) for one format; `markdown` is its rendered text. */
+export function digestPayload(format, digest, markdown, url) {
+  const link = url ? `\n${url}` : '';
+  if (format === 'slack') return { text: markdown + link };
+  if (format === 'discord') {
+    const room = DISCORD_MAX - link.length;
+    return { content: (markdown.length > room ? `${markdown.slice(0, room - 1)}…` : markdown) + link };
+  }
+  return { type: 'market-digest', date: digest.date, url: url || null, digest, markdown };
+}
+
+// Hosts the functions must never be pointed at: loopback, private and link-local ranges
+// (cloud metadata lives at 169.254.169.254), as names or IPv4 / IPv6 literals.
+const PRIVATE_V4 = [/^0\./, /^10\./, /^127\./, /^169\.254\./, /^172\.(1[6-9]|2\d|3[01])\./, /^192\.168\./, /^100\.(6[4-9]|[7-9]\d|1[01]\d|12[0-7])\./];
+const PRIVATE_V6 = [/^::1?$/, /^f[cd][0-9a-f]{0,2}:/, /^fe[89ab][0-9a-f]?:/];
+
+/** True when `url` is http(s) to a public host name or address (checked as written, not resolved). */
+export function publicUrl(url) {
+  let u;
+  try {
+    u = new URL(url);
+  } catch {
+    return false;
+  }
+  if (u.protocol !== 'https:' && u.protocol !== 'http:') return false;
+  const host = u.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+  if (host === 'localhost' || /\.(localhost|local|internal)$/.test(host) || (!host.includes('.') && !host.includes(':'))) return false;
+  if (host.includes(':')) {
+    // IPv4-mapped (::ffff:7f00:1, normalised by URL) is checked as the IPv4 address it maps to
+    const mapped = /^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/.exec(host);
+    if (mapped) {
+      const [hi, lo] = [parseInt(mapped[1], 16), parseInt(mapped[2], 16)];
+      return !PRIVATE_V4.some(re => re.test(`${hi >> 8}.${hi & 255}.${lo >> 8}.${lo & 255}`));
+    }
+    return !PRIVATE_V6.some(re => re.test(host));
+  }
+  return !PRIVATE_V4.some(re => re.test(host)); // URL has already normalised 0x7f.1 and the like
+}
+
+/** Drop malformed hooks; only http(s) URLs to public hosts are kept. */
+export function sanitizeWebhooks(hooks) {
+  if (!Array.isArray(hooks)) return [];
+  return hooks
+    .filter(h => h && typeof h.url === 'string' && publicUrl(h.url))
+    .slice(0, 10)
+    .map(h => ({ url: h.url.slice(0, 500), format: FORMATS.includes(h.format) ? h.format : 'json' }));
+}
+
+/** Deliver one alert to one hook. Resolves { ok, status?, error? } — never throws. */
+export function deliver(hook, alert) {
+  return post(hook.url, formatPayload(hook.format, alert));
+}
+
+/** POST a JSON body to `url`. Resolves { ok, status?, error? } — never throws. */
+export async function post(url, body) {
+  const ctrl = new AbortController();
+  const timer = setTimeout(() => ctrl.abort(), TIMEOUT_MS);
+  try {
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+      redirect: 'manual', // a redirect could point past publicUrl(); webhooks don't need one
+      signal: ctrl.signal,
+    });
+    return { ok: res.ok, status: res.status };
+  } catch (e) {
+    return { ok: false, error: e.name === 'AbortError' ? 'timeout' : e.message };
+  } finally {
+    clearTimeout(timer);
+  }
+}
@@ -0,0 +1,272 @@
+// shared/marketCalendar.js
+// US market sessions for the functions and the page alike: NYSE equities and the SIFMA bond
+// market, with holidays and early closes worked out from their rules (no yearly table to keep).
+// Dates are 'YYYY-MM-DD' strings for the US/Eastern calendar day; instants are ISO strings.
+// Plain ESM with no dependencies: bundled into functions, served as-is to the browser.
+
+const HOUR = 60 * 60 * 1000;
+
+export const MARKETS = {
+  nyse: { label: 'NYSE', open: '09:30', close: '16:00', earlyClose: '13:00' },
+  bond: { label: 'US bond market', open: '08:00', close: '17:00', earlyClose: '14:00' },
+};
+
+// One-off closures no rule predicts.
+const SPECIAL_CLOSURES = {
+  nyse: { '2025-01-09': 'National Day of Mourning' },
+  bond: {},
+};
+
+// ---------- calendar arithmetic ----------
+
+const pad = (n) => String(n).padStart(2, '0');
+const ymd = (y, m, d) => `${y}-${pad(m)}-${pad(d)}`;
+const weekday = (date) => new Date(`${date}T00:00:00Z`).getUTCDay();
+
+export function addDays(date, n) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+}
+
+// Same day n months on, clamped to the month's end (Mar 31 − 1 month → Feb 28/29).
+export function addMonths(date, n) {
+  const [y, m, d] = date.split('-').map(Number);
+  const lastDay = new Date(Date.UTC(y, m - 1 + n + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(y, m - 1 + n, Math.min(d, lastDay))).toISOString().slice(0, 10);
+}
+
+// Last of ascending [{ date, … }] on or before `date`; with `maxLagDays`, none older than that
+// (daily series leave out holidays, so a lookup a little past the last print still lands).
+export function onOrBefore(points, date, maxLagDays = Infinity) {
+  let hit = null;
+  for (const p of points || []) {
+    if (p.date > date) break;
+    hit = p;
+  }
+  return hit && (maxLagDays === Infinity || hit.date >= addDays(date, -maxLagDays)) ? hit : null;
+}
+
+// n-th `dow` (0 = Sunday) of a month; n = -1 for the last one.
+function nthWeekday(year, month, dow, n) {
+  if (n > 0) {
+    const first = new Date(Date.UTC(year, month - 1, 1)).getUTCDay();
+    return ymd(year, month, 1 + ((dow - first + 7) % 7) + (n - 1) * 7);
+  }
+  const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  const last = new Date(Date.UTC(year, month - 1, lastDay)).getUTCDay();
+  return ymd(year, month, lastDay - ((last - dow + 7) % 7));
+}
+
+// Gregorian Easter (anonymous algorithm).
+function easter(year) {
+  const a = year % 19, b = Math.floor(year / 100), c = year % 100;
+  const d = Math.floor(b / 4), e = b % 4, f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3), h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4), k = c % 4, l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  return ymd(year, Math.floor((h + l - 7 * m + 114) / 31), ((h + l - 7 * m + 114) % 31) + 1);
+}
+
+// Saturday holidays are observed on Friday, Sunday ones on Monday.
+function observed(date) {
+  const dow = weekday(date);
+  return dow === 6 ? addDays(date, -1) : dow === 0 ? addDays(date, 1) : date;
+}
+
+// ---------- US Eastern time ----------
+
+// UTC offset (hours) on a given day: DST runs from the 2nd Sunday of March to the 1st Sunday of November.
+function easternOffset(date) {
+  const y = Number(date.slice(0, 4));
+  return date >= nthWeekday(y, 3, 0, 2) && date < nthWeekday(y, 11, 0, 1) ? -4 : -5;
+}
+
+/** ISO instant of a US/Eastern wall-clock time ('HH:MM') on `date`. */
+export function easternInstant(date, hhmm) {
+  const [h, m] = hhmm.split(':').map(Number);
+  const [y, mo, d] = date.split('-').map(Number);
+  return new Date(Date.UTC(y, mo - 1, d, h, m) - easternOffset(date) * HOUR).toISOString();
+}
+
+/** US/Eastern calendar date of an instant (default: now). */
+export function easternDate(at = new Date()) {
+  const ms = +new Date(at);
+  const guess = new Date(ms - 5 * HOUR).toISOString().slice(0, 10);
+  return new Date(ms + easternOffset(guess) * HOUR).toISOString().slice(0, 10);
+}
+
+/** 'Fri 16:00 ET' (or 'Fri Oct 17' with `{ time: false }`) for an ISO instant or date. */
+export function formatEastern(at, { time = true } = {}) {
+  if (!time) {
+    const d = new Date(`${String(at).slice(0, 10)}T12:00:00Z`);
+    return d.toLocaleDateString('en-US', { timeZone: 'UTC', weekday: 'short', month: 'short', day: 'numeric' }).replace(',', '');
+  }
+  const s = new Date(at).toLocaleString('en-US', {
+    timeZone: 'America/New_York', weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23',
+  });
+  return `${s.replace(',', '')} ET`;
+}
+
+// ---------- holidays and early closes ----------
+
+const yearCache = new Map(); // `${market}:${year}` → { holidays: Map(date → name), early: Set(date) }
+
+function lastWeekdayBefore(date, closed) {
+  let d = addDays(date, -1);
+  while (weekday(d) === 0 || weekday(d) === 6 || closed.has(d)) d = addDays(d, -1);
+  return d;
+}
+
+function buildYear(year, market) {
+  const newYear = ymd(year, 1, 1);
+  const nextNewYear = ymd(year + 1, 1, 1);
+  const rules = [
+    // a Saturday New Year's Day is not moved back into the old year
+    ['New Year\'s Day', weekday(newYear) === 6 ? null : observed(newYear)],
+    ['Martin Luther King Jr. Day', nthWeekday(year, 1, 1, 3)],
+    ['Washington\'s Birthday', nthWeekday(year, 2, 1, 3)],
+    ['Good Friday', addDays(easter(year), -2)], // SIFMA recommends a full close in most years too
+    ['Memorial Day', nthWeekday(year, 5, 1, -1)],
+    ['Juneteenth', year >= 2022 ? observed(ymd(year, 6, 19)) : null],
+    ['Independence Day', observed(ymd(year, 7, 4))],
+    ['Labor Day', nthWeekday(year, 9, 1, 1)],
+    ...(market === 'bond' ? [
+      ['Columbus Day', nthWeekday(year, 10, 1, 2)],
+      ['Veterans Day', observed(ymd(year, 11, 11))],
+    ] : []),
+    ['Thanksgiving Day', nthWeekday(year, 11, 4, 4)],
+    ['Christmas Day', observed(ymd(year, 12, 25))],
+  ];
+  const holidays = new Map(rules.filter(([, date]) => date).map(([name, date]) => [date, name]));
+  for (const [date, name] of Object.entries(SPECIAL_CLOSURES[market])) {
+    if (date.startsWith(String(year))) holidays.set(date, name);
+  }
+
+  const early = new Set();
+  const dayAfterThanksgiving = addDays(nthWeekday(year, 11, 4, 4), 1);
+  early.add(dayAfterThanksgiving);
+  if (market === 'nyse') {
+    // July 3 and December 24 close at 13:00 when they are ordinary weekdays
+    for (const date of [ymd(year, 7, 3), ymd(year, 12, 24)]) {
+      const dow = weekday(date);
+      if (dow >= 1 && dow <= 4 && !holidays.has(date)) early.add(date);
+    }
+  } else {
+    // SIFMA: 14:00 close on the session before Good Friday, Memorial Day, Independence Day,
+    // Christmas and New Year's Day
+    const closed = new Set(holidays.keys());
+    for (const name of ['Good Friday', 'Memorial Day', 'Independence Day', 'Christmas Day']) {
+      const date = rules.find(([n]) => n === name)[1];
+      early.add(lastWeekdayBefore(date, closed));
+    }
+    const nextYear = weekday(nextNewYear) === 6 ? null : observed(nextNewYear);
+    const eve = lastWeekdayBefore(nextYear || nextNewYear, closed);
+    if (eve.startsWith(String(year))) early.add(eve);
+  }
+  return { holidays, early };
+}
+
+function yearOf(date, market) {
+  const key = `${market}:${date.slice(0, 4)}`;
+  if (!yearCache.has(key)) yearCache.set(key, buildYear(Number(date.slice(0, 4)), market));
+  return yearCache.get(key);
+}
+
+/** Every full-day closure in a year: [{ date, name }] in date order. */
+export function holidays(year, market = 'nyse') {
+  return [...yearOf(`${year}-01-01`, market).holidays]
+    .map(([date, name]) => ({ date, name }))
+    .sort((a, b) => (a.date < b.date ? -1 : 1));
+}
+
+/** Name of the holiday on `date`, or null. Weekends are not holidays. */
+export function holidayName(date, market = 'nyse') {
+  return yearOf(date, market).holidays.get(date) || null;
+}
+
+// ---------- sessions ----------
+
+/** The session on `date` → { date, open, close, early } (ISO instants), or null when closed all day. */
+export function sessionOn(date, market = 'nyse') {
+  const dow = weekday(date);
+  if (dow === 0 || dow === 6 || holidayName(date, market)) return null;
+  const hours = MARKETS[market];
+  const early = yearOf(date, market).early.has(date);
+  return {
+    date,
+    open: easternInstant(date, hours.open),
+    close: easternInstant(date, early ? hours.earlyClose : hours.close),
+    early,
+  };
+}
+
+/** Last session strictly before `date`. */
+export function previousSession(date, market = 'nyse') {
+  for (let d = addDays(date, -1); ; d = addDays(d, -1)) {
+    const s = sessionOn(d, market);
+    if (s) return s;
+  }
+}
+
+/** First session strictly after `date`. */
+export function nextSession(date, market = 'nyse') {
+  for (let d = addDays(date, 1); ; d = addDays(d, 1)) {
+    const s = sessionOn(d, market);
+    if (s) return s;
+  }
+}
+
+/** Sessions after `from` up to and including `to` (both dates); 0 when `to` is not later. */
+export function sessionsBetween(from, to, market = 'nyse') {
+  let n = 0;
+  for (let d = addDays(from, 1); d <= to; d = addDays(d, 1)) {
+    if (sessionOn(d, market)) n++;
+  }
+  return n;
+}
+
+/**
+ * Where the market stands at `now`:
+ * { market, state: 'pre' | 'open' | 'post' | 'closed', isOpen, date, session, holiday,
+ *   lastClose: { date, at }, nextOpen: { date, at }, nextChange }
+ * 'closed' is a day without a session (weekend or holiday); `nextChange` is the next open or close.
+ */
+export function marketStatus(now = new Date(), market = 'nyse') {
+  const ms = +new Date(now);
+  const date = easternDate(ms);
+  const session = sessionOn(date, market);
+
+  let state = 'closed';
+  if (session) {
+    if (ms < Date.parse(session.open)) state = 'pre';
+    else if (ms < Date.parse(session.close)) state = 'open';
+    else state = 'post';
+  }
+  const last = state === 'post' ? session : previousSession(date, market);
+  const next = state === 'pre' ? session : nextSession(date, market);
+
+  return {
+    market,
+    state,
+    isOpen: state === 'open',
+    date,
+    session,
+    holiday: session ? null : holidayName(date, market),
+    lastClose: { date: last.date, at: last.close },
+    nextOpen: { date: next.date, at: next.open },
+    nextChange: state === 'open' ? session.close : next.open,
+  };
+}
+
+// ---------- polling ----------
+
+// How often quotes are worth refreshing in each state.
+export const POLL_MS = { open: 2 * 60 * 1000, pre: 10 * 60 * 1000, post: 10 * 60 * 1000, closed: 60 * 60 * 1000 };
+
+/** Delay until the next refresh: the state's interval, or just past the next open/close if sooner. */
+export function pollDelay(now = new Date(), market = 'nyse') {
+  const m = marketStatus(now, market);
+  const untilChange = Date.parse(m.nextChange) - +new Date(now) + 5000;
+  return Math.max(5000, Math.min(POLL_MS[m.state], untilChange));
+}
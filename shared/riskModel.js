@@ -0,0 +1,159 @@
+// shared/riskModel.js
+// Risk Temperature: the default model and the pure scoring behind the dashboard's gauge, its
+// backtest, and the functions (daily digest, server-side alerts on the score).
+// Plain ESM with no dependencies: bundled into functions, served as-is to the browser.
+
+const clamp = (v, lo = 0, hi = 100) => Math.max(lo, Math.min(hi, v));
+
+// The model: which series feed the score, how each maps onto 0–100, and the band cut-offs.
+// mapping.type: 'linear'    { x0, y0, slope } → y0 + (x − x0)·slope
+//               'piecewise' { points: [[x, y], …] } sorted by x; a repeated x is a step
+//               'zscore'    { window, scale } → 50 + z·scale against the series' own history
+export const DEFAULT_RISK_MODEL = {
+  name: 'Default',
+  bands: { watch: 25, elevated: 50, alert: 75 },
+  components: [
+    // S&P 500 (SPY) daily % change (down = more risk): -1% => +12 risk; +1% => -12 risk
+    { id: 'spy', label: 'S&P', widget: 'sp500', field: 'pct', weight: 0.20,
+      mapping: { type: 'linear', x0: 0, y0: 50, slope: -12 } },
+    // VIX level: 12 -> ~20, 20 -> ~50, 30 -> ~88; falls back to % change (+1% VIX ≈ +4 risk pts)
+    { id: 'vix', label: 'VIX', widget: 'vix-index', field: 'price', weight: 0.35,
+      mapping: { type: 'linear', x0: 12, y0: 20, slope: 3.75 },
+      fallback: { field: 'pct', mapping: { type: 'linear', x0: 0, y0: 50, slope: 4 } } },
+    // Yield curve 10y-2y: deeper inversion -> higher risk (70..100); steeper positive -> safer (40..15)
+    { id: 'yc', label: 'YC', widget: 'yield', field: 'spread', weight: 0.25,
+      mapping: { type: 'piecewise', points: [[-1.2, 100], [0, 70], [0, 40], [1.25, 15]] } },
+    // Buffett ratio (% of GDP), long-term: 120% -> 0, 160% -> 28, 200% -> 56, 240% -> 84
+    { id: 'buffett', label: 'Buffett', widget: 'buffett', field: 'ratio', weight: 0.05,
+      mapping: { type: 'linear', x0: 120, y0: 0, slope: 0.7 } },
+    // Gold % change (up = flight to safety → riskier): +1% ≈ +8 risk pts
+    { id: 'gold', label: 'Gold', widget: 'gold', field: 'pct', weight: 0.05,
+      mapping: { type: 'linear', x0: 0, y0: 50, slope: 8 } },
+    // DXY % change (strong USD = tighter conditions → riskier): +1% ≈ +8 risk pts
+    { id: 'dxy', label: 'DXY', widget: 'dxy', field: 'pct', weight: 0.10,
+      mapping: { type: 'linear', x0: 0, y0: 50, slope: 8 } },
+  ],
+};
+
+export const MAPPING_TYPES = ['linear', 'piecewise', 'zscore'];
+
+export function validMapping(m) {
+  if (!m || !MAPPING_TYPES.includes(m.type)) return false;
+  const num = v => typeof v === 'number' && isFinite(v);
+  if (m.type === 'linear') return num(m.x0) && num(m.y0) && num(m.slope);
+  if (m.type === 'zscore') return Number.isInteger(m.window) && m.window >= 10 && num(m.scale);
+  return Array.isArray(m.points) && m.points.length >= 2
+    && m.points.every((p, i) => Array.isArray(p) && num(p[0]) && num(p[1]) && (i === 0 || p[0] >= m.points[i - 1][0]));
+}
+
+// Throws with a readable message; returns a clean copy (the model editor, JSON imports, and the
+// copy the alert rules sync to the server).
+export function normalizeModel(obj) {
+  if (!obj || typeof obj !== 'object') throw new Error('Model must be an object');
+  const name = String(obj.name || '').trim().slice(0, 40);
+  if (!name) throw new Error('Model needs a name');
+  const b = obj.bands || {};
+  const bands = { watch: Number(b.watch), elevated: Number(b.elevated), alert: Number(b.alert) };
+  if (!(bands.watch >= 0 && bands.watch <= bands.elevated && bands.elevated <= bands.alert && bands.alert <= 100)) {
+    throw new Error('Bands must satisfy 0 ≤ watch ≤ elevated ≤ alert ≤ 100');
+  }
+  if (!Array.isArray(obj.components) || !obj.components.length) throw new Error('Model needs at least one component');
+  const components = obj.components.map((c, i) => {
+    const where = `component ${i + 1}`;
+    if (!c || typeof c.widget !== 'string' || typeof c.field !== 'string') throw new Error(`${where}: missing series`);
+    if (!(Number(c.weight) >= 0)) throw new Error(`${where}: weight must be ≥ 0`);
+    if (!validMapping(c.mapping)) throw new Error(`${where}: bad mapping`);
+    if (c.fallback && !(typeof c.fallback.field === 'string' && validMapping(c.fallback.mapping))) {
+      throw new Error(`${where}: bad fallback`);
+    }
+    return {
+      id: String(c.id || `c${i}`).slice(0, 30),
+      label: String(c.label || c.widget).slice(0, 30),
+      widget: c.widget,
+      field: c.field,
+      weight: Number(c.weight),
+      mapping: c.mapping,
+      ...(c.fallback ? { fallback: c.fallback } : {}),
+      ...(typeof c.symbol === 'string' ? { symbol: c.symbol } : {}),
+      ...(typeof c.history === 'string' ? { history: c.history } : {}),
+    };
+  });
+  return { name, bands, components };
+}
+
+export function applyMapping(m, x, stats) {
+  switch (m?.type) {
+    case 'linear':
+      return m.y0 + (x - m.x0) * m.slope;
+    case 'piecewise': {
+      const pts = m.points;
+      if (x <= pts[0][0]) return pts[0][1];
+      for (let i = 0; i + 1 < pts.length; i++) {
+        const [xa, ya] = pts[i], [xb, yb] = pts[i + 1];
+        if (x < xb) return xa === xb ? yb : ya + ((x - xa) / (xb - xa)) * (yb - ya);
+      }
+      return pts[pts.length - 1][1];
+    }
+    case 'zscore':
+      return stats && stats.sd ? 50 + ((x - stats.mean) / stats.sd) * m.scale : null;
+    default:
+      return null;
+  }
+}
+
+function componentLabel(c, field, x) {
+  if (field === 'pct')    return `${c.label} ${x >= 0 ? '+' : ''}${x.toFixed(2)}%`;
+  if (field === 'spread') return `${c.label} ${x.toFixed(2)}%`;
+  if (field === 'ratio')  return `${c.label} ${x.toFixed(0)}%`;
+  return `${c.label} ${x.toFixed(2)}`;
+}
+
+// Pure scoring: model + data access → { score, band, parts } (null when nothing is available).
+// `data.value(widget, field)` gives the reading, `data.stats(widget, field, window)` gives
+// { mean, sd } for z-score mappings. The live card, the backtest and the server-side digest
+// differ only in `data`.
+export function computeRiskTemperature(model, data) {
+  const parts = [];
+  for (const c of model.components) {
+    const tries = [{ field: c.field, mapping: c.mapping }, ...(c.fallback ? [c.fallback] : [])];
+    for (const t of tries) {
+      const x = data.value(c.widget, t.field);
+      if (typeof x !== 'number' || !isFinite(x)) continue;
+      const stats = t.mapping.type === 'zscore' ? data.stats(c.widget, t.field, t.mapping.window) : null;
+      const y = applyMapping(t.mapping, x, stats);
+      if (y == null || !isFinite(y)) continue;
+      parts.push({ id: c.id, label: componentLabel(c, t.field, x), score: clamp(y), weight: Number(c.weight) || 0 });
+      break;
+    }
+  }
+  if (!parts.length) return null;
+
+  // normalize weights in case some parts are missing
+  const wsum  = parts.reduce((a, p) => a + p.weight, 0) || 1;
+  for (const p of parts) p.contribution = (p.score * p.weight) / wsum; // points of the final score
+  const raw   = parts.reduce((a, p) => a + p.contribution, 0);
+  const score = Math.round(clamp(raw, 0, 100));
+
+  // label bands
+  const b = model.bands;
+  let band = 'Calm';
+  if (score >= b.alert) band = 'Alert';
+  else if (score >= b.elevated) band = 'Elevated';
+  else if (score >= b.watch) band = 'Watch';
+
+  return { score, band, parts };
+}
+
+// Mean / sd over the `window` observations ending at index `end` (levels, or daily % for 'pct').
+export function seriesStats(points, end, field, window = 250) {
+  const vals = [];
+  for (let i = Math.max(1, end - window + 1); i <= end; i++) {
+    const cur = points[i].value, prev = points[i - 1].value;
+    vals.push(field === 'pct' ? (prev ? ((cur - prev) / prev) * 100 : NaN) : cur);
+  }
+  const clean = vals.filter(v => isFinite(v));
+  if (clean.length < 10) return null;
+  const mean = clean.reduce((a, b) => a + b, 0) / clean.length;
+  const sd = Math.sqrt(clean.reduce((a, b) => a + (b - mean) ** 2, 0) / (clean.length - 1));
+  return { mean, sd };
+}
@@ -0,0 +1,85 @@
+// sw.js
+// Service worker that makes the dashboard installable and lets it open offline.
+// The page shell is network-first (a deploy shows up on the next load) and falls back to the
+// copy kept here; third-party scripts and fonts are cache-first. Function calls are never
+// cached here: the page keeps its own last readings (localStorage + IndexedDB) for offline use.
+// Bump VERSION when the precache list changes.
+
+const VERSION = 'v2';
+const SHELL_CACHE = `shell-${VERSION}`;
+const RUNTIME_CACHE = `runtime-${VERSION}`;
+
+const SHELL = [
+  '/',
+  '/shared/marketCalendar.js',
+  '/shared/riskModel.js',
+  '/manifest.webmanifest',
+  '/icons/icon.svg',
+  '/icons/icon-192.png',
+  '/icons/icon-512.png',
+];
+// Cross-origin extras: nice to have offline, but an install must not fail over them.
+const SHELL_EXTRAS = [
+  'https://cdn.jsdelivr.net/npm/sortablejs@1.15.0/Sortable.min.js',
+  'https://fonts.googleapis.com/css2?family=Inter:wght@300;400;600;700&display=swap',
+];
+const CDN_HOSTS = ['cdn.jsdelivr.net', 'fonts.googleapis.com', 'fonts.gstatic.com', 'cdn.sheetjs.com'];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(SHELL_CACHE);
+    await cache.addAll(SHELL);
+    await Promise.all(SHELL_EXTRAS.map(url => cache.add(url).catch(() => {})));
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const keep = [SHELL_CACHE, RUNTIME_CACHE];
+    for (const name of await caches.keys()) {
+      if (!keep.includes(name)) await caches.delete(name);
+    }
+    await self.clients.claim();
+  })());
+});
+
+async function networkFirst(request, cacheKey) {
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    const res = await fetch(request);
+    if (res.ok) await cache.put(cacheKey, res.clone());
+    return res;
+  } catch (err) {
+    const hit = await cache.match(cacheKey, { ignoreSearch: true });
+    if (hit) return hit;
+    throw err;
+  }
+}
+
+async function cacheFirst(request) {
+  const hit = await caches.match(request);
+  if (hit) return hit;
+  const res = await fetch(request);
+  if (res.ok || res.type === 'opaque') {
+    const cache = await caches.open(RUNTIME_CACHE);
+    await cache.put(request, res.clone());
+  }
+  return res;
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  if (url.origin === self.location.origin) {
+    if (url.pathname.startsWith('/.netlify/')) return; // live data: straight to the network
+    if (/^\/(digest|status)\b/.test(url.pathname)) return; // function pages, not the dashboard shell
+    // Every navigation (?snapshot=… included) is the same page.
+    const cacheKey = request.mode === 'navigate' ? '/' : request;
+    event.respondWith(networkFirst(request, cacheKey));
+    return;
+  }
+  if (CDN_HOSTS.includes(url.hostname)) event.respondWith(cacheFirst(request));
+});
@@ -0,0 +1,222 @@
+// test/alerts.test.js
+// Server-side alerts: the rule engine (lib/alertRules.js), webhook delivery and its host checks
+// (lib/webhooks.js), and the scheduled checker (functions/alertsScheduled.js) end to end against
+// the local provider stand-in and a local webhook receiver. Run with `npm test`.
+
+import { stopUpstream, webhookReceiver } from './support/upstream.js';
+
+import assert from 'node:assert/strict';
+import { after, describe, test } from 'node:test';
+
+const { evaluateRules, sanitizeRules } = await import('../netlify/lib/alertRules.js');
+const { deliver, publicUrl, sanitizeWebhooks } = await import('../netlify/lib/webhooks.js');
+const { handler: alertRules } = await import('../netlify/functions/alertRules.js');
+const { handler: alertsScheduled } = await import('../netlify/functions/alertsScheduled.js');
+const { openStore } = await import('../netlify/lib/store.js');
+
+after(stopUpstream);
+
+const MIN = 60000;
+const DAY = 86400000;
+const T0 = Date.parse('2024-03-04T15:00:00Z');
+const rule = (fields) => sanitizeRules([{ id: 'r1', widget: 'dxy', field: 'price', op: '>', value: 100, ...fields }])[0];
+const at = (price) => ({ dxy: { price } });
+
+describe('evaluateRules', () => {
+  test('fires once when the condition starts to hold, not again while it lasts', () => {
+    const rules = [rule()];
+    const state = {};
+    assert.equal(evaluateRules(rules, at(99), state, T0).fired.length, 0);
+    const { fired } = evaluateRules(rules, at(101), state, T0 + MIN);
+    assert.deepEqual(fired.map(f => [f.rule.id, f.value, f.text]), [['r1', 101, 'dxy · price > 100']]);
+    assert.equal(evaluateRules(rules, at(102), state, T0 + 2 * MIN).fired.length, 0);
+    assert.equal(evaluateRules(rules, at(103), state, T0 + 3 * 60 * MIN).fired.length, 0, 'the cooldown does not re-arm an ongoing episode');
+  });
+
+  test('a new episode inside the cooldown waits it out', () => {
+    const rules = [rule({ cooldownMin: 30 })];
+    const state = {};
+    assert.equal(evaluateRules(rules, at(101), state, T0).fired.length, 1);
+    evaluateRules(rules, at(99), state, T0 + 5 * MIN);
+    assert.equal(evaluateRules(rules, at(101), state, T0 + 10 * MIN).fired.length, 0, 'flapped back within 30 minutes');
+    assert.equal(evaluateRules(rules, at(101), state, T0 + 30 * MIN).fired.length, 1, 'still holding once the cooldown is over');
+  });
+
+  test('forDays waits for the condition to hold that long, and restarts when it breaks', () => {
+    const rules = [rule({ forDays: 2 })];
+    const state = {};
+    assert.equal(evaluateRules(rules, at(101), state, T0).fired.length, 0);
+    assert.equal(evaluateRules(rules, at(101), state, T0 + DAY).fired.length, 0);
+    evaluateRules(rules, at(99), state, T0 + DAY + MIN);
+    assert.equal(evaluateRules(rules, at(101), state, T0 + 2 * DAY).fired.length, 0, 'the clock restarted');
+    assert.equal(evaluateRules(rules, at(101), state, T0 + 4 * DAY - MIN).fired.length, 0);
+    assert.equal(evaluateRules(rules, at(101), state, T0 + 4 * DAY).fired.length, 1);
+  });
+
+  test('crosses_above / crosses_below need a previous reading on the other side', () => {
+    const up = [rule({ op: 'crosses_above' })];
+    const down = [rule({ op: 'crosses_below', cooldownMin: 0 })];
+    const upState = {};
+    const downState = {};
+    const run = (rules, state, price, i) => evaluateRules(rules, at(price), state, T0 + i * 60 * MIN).fired.length;
+    assert.equal(run(up, upState, 101, 0), 0, 'already above on the first reading');
+    assert.equal(run(up, upState, 99, 1), 0);
+    assert.equal(run(up, upState, 101, 2), 1);
+    assert.equal(run(up, upState, 102, 3), 0);
+    assert.deepEqual([101, 99, 100, 98].map((p, i) => run(down, downState, p, i)), [0, 1, 0, 1]);
+  });
+
+  test('state of deleted rules is dropped', () => {
+    const state = { gone: { active: true, since: 0, lastFired: 0, prev: 1 } };
+    evaluateRules([rule()], at(99), state, T0);
+    assert.deepEqual(Object.keys(state), ['r1']);
+  });
+});
+
+describe('webhooks', () => {
+  test('only http(s) URLs on public hosts are kept', () => {
+    const kept = sanitizeWebhooks([
+      { url: 'https://hooks.slack.com/services/T/B/x', format: 'slack' },
+      { url: 'http://localhost:8888/hook' },
+      { url: 'http://127.0.0.1/hook' },
+      { url: 'http://2130706433/hook' },
+      { url: 'http://169.254.169.254/latest/meta-data' },
+      { url: 'http://10.0.0.8/' },
+      { url: 'http://172.16.5.4/' },
+      { url: 'http://192.168.1.1/' },
+      { url: 'http://[::1]/' },
+      { url: 'http://[::ffff:10.0.0.1]/' },
+      { url: 'http://[fe80::1]/' },
+      { url: 'http://[fd12::1]/' },
+      { url: 'http://metadata.google.internal/' },
+      { url: 'file:///etc/passwd' },
+      { url: 'https://discord.com/api/webhooks/1/abc', format: 'nope' },
+    ]);
+    assert.deepEqual(kept, [
+      { url: 'https://hooks.slack.com/services/T/B/x', format: 'slack' },
+      { url: 'https://discord.com/api/webhooks/1/abc', format: 'json' },
+    ]);
+    assert.ok(publicUrl('http://172.32.0.1/') && publicUrl('http://[2606:4700::1111]/'));
+  });
+
+  test('the alert rules function refuses a private webhook instead of dropping it', async () => {
+    const res = await alertRules({
+      httpMethod: 'PUT',
+      headers: {},
+      body: JSON.stringify({ webhooks: [{ url: 'http://127.0.0.1:9/hook', format: 'json' }] }),
+    });
+    assert.equal(res.statusCode, 400);
+    assert.match(JSON.parse(res.body).error, /public host/);
+  });
+
+  test('deliver POSTs the formatted alert and reports the receiver\'s answer', async () => {
+    const receiver = await webhookReceiver();
+    try {
+      const alert = { rule: rule(), value: 101.5, text: 'dxy · price > 100', firedAt: new Date(0).toISOString() };
+      assert.deepEqual(await deliver({ url: receiver.url, format: 'slack' }, alert), { ok: true, status: 204 });
+      receiver.respondWith(502);
+      assert.deepEqual(await deliver({ url: receiver.url, format: 'json' }, alert), { ok: false, status: 502 });
+      assert.deepEqual(receiver.received.map(r => r.body), [
+        { text: '🚨 dxy · price > 100 — now 101.50' },
+        { type: 'market-alert', ruleId: 'r1', widget: 'dxy', field: 'price', op: '>', threshold: 100, value: 101.5, text: 'dxy · price > 100', firedAt: alert.firedAt },
+      ]);
+    } finally {
+      await receiver.close();
+    }
+  });
+
+  test('a receiver that is down is a failed delivery, not an exception', async () => {
+    const receiver = await webhookReceiver();
+    await receiver.close();
+    const result = await deliver({ url: receiver.url, format: 'json' }, { rule: rule(), value: 1, text: 't', firedAt: '' });
+    assert.equal(result.ok, false);
+    assert.ok(result.error);
+  });
+});
+
+describe('alertsScheduled', () => {
+  // The stand-in's DXY sits near 100; `> 0` holds on every run.
+  const config = (url) => ({ rules: [rule({ id: 'dxy-up', value: 0 })], webhooks: [{ url, format: 'json' }] });
+  const run = async () => JSON.parse((await alertsScheduled({})).body);
+
+  // pretend the last evaluation was long ago, so the out-of-hours throttle doesn't skip the next one
+  async function ageLastRun(store) {
+    const state = await store.get('state');
+    await store.set('state', { ...state, lastRun: new Date(Date.now() - 2 * 60 * MIN).toISOString() });
+  }
+
+  test('delivers an alert once, and retries a failed delivery on the next run', async () => {
+    const store = await openStore('alerts', {});
+    const receiver = await webhookReceiver();
+    try {
+      // written straight to the store: the alert rules function would refuse a 127.0.0.1 hook
+      await store.set('config', config(receiver.url));
+      receiver.respondWith(503);
+
+      const first = await run();
+      assert.deepEqual(first.fired.map(f => f.ruleId), ['dxy-up']);
+      assert.equal(receiver.received.length, 1);
+      let state = await store.get('state');
+      assert.equal(state.log.length, 1);
+      assert.deepEqual(state.log[0].deliveries.map(d => [d.ok, d.status, d.attempts]), [[false, 503, 1]]);
+      assert.equal(state.pending.length, 1);
+
+      // next run: the receiver is back; the pending alert goes out, nothing fires again
+      receiver.respondWith(204);
+      await ageLastRun(store);
+      const second = await run();
+      assert.deepEqual(second.fired, []);
+      assert.equal(receiver.received.length, 2);
+      assert.deepEqual(receiver.received[1].body, receiver.received[0].body, 'the same alert, resent');
+      state = await store.get('state');
+      assert.equal(state.log.length, 1);
+      assert.deepEqual(state.log[0].deliveries.map(d => [d.ok, d.status, d.attempts]), [[true, 204, 2]]);
+      assert.deepEqual(state.pending, []);
+
+      // and once delivered, never again
+      await ageLastRun(store);
+      assert.deepEqual((await run()).fired, []);
+      assert.equal(receiver.received.length, 2);
+    } finally {
+      await receiver.close();
+      await store.delete('state');
+    }
+  });
+
+  test('gives up on a delivery after six attempts', async () => {
+    const store = await openStore('alerts', {});
+    const receiver = await webhookReceiver();
+    try {
+      await store.set('config', config(receiver.url));
+      receiver.respondWith(500);
+      for (let i = 0; i < 8; i++) {
+        await run();
+        await ageLastRun(store);
+      }
+      assert.equal(receiver.received.length, 6);
+      const state = await store.get('state');
+      assert.deepEqual(state.pending, []);
+      assert.deepEqual(state.log[0].deliveries.map(d => [d.ok, d.attempts]), [[false, 6]]);
+    } finally {
+      await receiver.close();
+      await store.delete('state');
+    }
+  });
+
+  test('a pending delivery to a hook that has since been removed is dropped', async () => {
+    const store = await openStore('alerts', {});
+    const receiver = await webhookReceiver();
+    try {
+      await store.set('config', config(receiver.url));
+      receiver.respondWith(500);
+      await run();
+      await store.set('config', { ...config(receiver.url), webhooks: [] });
+      await run();
+      assert.equal(receiver.received.length, 1);
+      assert.deepEqual((await store.get('state')).pending, []);
+    } finally {
+      await receiver.close();
+      await store.delete('state');
+    }
+  });
+});
@@ -0,0 +1,150 @@
+// test/liveFeed.test.js
+// The live feed's change journal and catch-up (lib/liveFeed.js) and the live function's
+// since / Last-Event-ID handling over SSE and long-poll (functions/live.js).
+// Upstream is the local stand-in from support/upstream.js. Run with `npm test`.
+
+import { fredCallCount, stopUpstream } from './support/upstream.js';
+
+import assert from 'node:assert/strict';
+import { after, describe, test } from 'node:test';
+
+const { catchUp, readJournal, runCycle } = await import('../netlify/lib/liveFeed.js');
+const { default: live } = await import('../netlify/functions/live.js');
+const { openStore } = await import('../netlify/lib/store.js');
+
+after(stopUpstream);
+
+function liveRequest(query, headers = {}) {
+  return live(new Request(`http://localhost/.netlify/functions/live?${new URLSearchParams(query)}`, { headers }));
+}
+
+// SSE body → [{ id, event, data, retry }]
+async function sseFrames(res) {
+  return (await res.text()).split('\n\n').filter(Boolean).map((block) => {
+    const frame = {};
+    for (const line of block.split('\n')) {
+      const [, k, v] = /^(\w+): (.*)$/.exec(line);
+      frame[k] = k === 'data' ? JSON.parse(v) : v;
+    }
+    return frame;
+  });
+}
+
+describe('catchUp', () => {
+  const entry = (seq) => ({ seq, hash: String(seq), data: { price: seq } });
+  const journal = {
+    seq: 2_000_000,
+    widgets: {
+      spy: entry(1_000_000),
+      gold: entry(2_000_000),
+      dxy: entry(1_980_000), // 20 s before `since`: inside the slack
+      buffett: entry(1_900_000),
+      'buffett:nowcast': entry(1_990_000),
+      'quote:AAPL': entry(1_995_000),
+    },
+  };
+
+  test('returns the entries changed since `since`, with some slack, oldest first', () => {
+    assert.deepEqual(catchUp(journal, 2_000_000).map(u => [u.field, u.seq]), [['dxy', 1_980_000], ['gold', 2_000_000]]);
+  });
+
+  test('includes the client\'s watchlist quotes and its choice of Buffett reading', () => {
+    const updates = catchUp(journal, 2_000_000, { symbols: ['AAPL'], nowcast: true });
+    assert.deepEqual(updates.map(u => [u.field, u.seq]), [
+      ['dxy', 1_980_000], ['buffett', 1_990_000], ['quote:AAPL', 1_995_000], ['gold', 2_000_000],
+    ]);
+    assert.deepEqual(updates[1].data, { price: 1_990_000 });
+  });
+
+  test('a fresh client (since 0) gets every widget it shows', () => {
+    assert.equal(catchUp(journal, 0).length, 4);
+  });
+});
+
+describe('runCycle', () => {
+  test('journals every widget once, then only what changed', async () => {
+    const seen = [];
+    const seq = await runCycle({}, {}, (u) => seen.push(u));
+    const fields = seen.map(u => u.field).sort();
+    assert.deepEqual(fields, ['buffett', 'dxy', 'gold', 'lit', 'spy', 'tsla', 'vix', 'vixy', 'yieldCurve']);
+    assert.ok(seen.every((u, i) => i === 0 || u.seq > seen[i - 1].seq), 'sequence numbers increase');
+    assert.equal(seq, seen[seen.length - 1].seq);
+    assert.ok(Number.isFinite(seen.find(u => u.field === 'dxy').data.price), 'FRED-backed widget has a price');
+    assert.ok(seen.find(u => u.field === 'spy').data.error, 'keyless equity quote settles to an error');
+
+    const journal = await readJournal({});
+    assert.equal(journal.seq, seq);
+    assert.equal(Object.keys(journal.widgets).length, 9);
+
+    // same (cached) readings again: nothing to journal
+    const again = [];
+    assert.equal(await runCycle({}, {}, (u) => again.push(u)), seq);
+    assert.deepEqual(again, []);
+  });
+});
+
+describe('live function', () => {
+  test('long-poll answers at once from the journal when there is news since `since`', async () => {
+    const journal = await readJournal({});
+    const calls = fredCallCount();
+    const res = await liveRequest({ mode: 'poll', since: '0' });
+    assert.equal(res.status, 200);
+    const body = await res.json();
+    assert.equal(body.updates.length, 9);
+    assert.equal(body.seq, journal.seq);
+    assert.ok(body.retryMs > 0);
+    assert.equal(fredCallCount(), calls, 'no refresh cycle ran');
+  });
+
+  test('long-poll runs one cycle when the client is up to date', async () => {
+    const since = (await readJournal({})).seq + 60_000;
+    const body = await (await liveRequest({ mode: 'poll', since: String(since) })).json();
+    assert.deepEqual(body.updates, []);
+    assert.equal(body.seq, since, 'never hands back a sequence number older than the client\'s');
+  });
+
+  test('Last-Event-ID wins over ?since', async () => {
+    const since = (await readJournal({})).seq + 60_000;
+    const body = await (await liveRequest({ mode: 'poll', since: '0' }, { 'Last-Event-ID': String(since) })).json();
+    assert.deepEqual(body.updates, []);
+    assert.equal(body.seq, since);
+  });
+
+  test('SSE replays the journal, then ends the cycle with its sequence number', async () => {
+    const journal = await readJournal({});
+    const res = await liveRequest({ since: '0' }, { Accept: 'text/event-stream' });
+    assert.equal(res.headers.get('content-type'), 'text/event-stream');
+    const frames = await sseFrames(res);
+    assert.ok(Number(frames[0].retry) > 0);
+    const widgets = frames.filter(f => f.event === 'widget');
+    assert.equal(widgets.length, 9);
+    assert.ok(widgets.every(f => f.id === String(f.data.seq)));
+    const cycle = frames[frames.length - 1];
+    assert.equal(cycle.event, 'cycle');
+    assert.equal(cycle.data.seq, journal.seq);
+    assert.equal(cycle.id, String(journal.seq));
+  });
+
+  test('an SSE reconnect with the last id it received replays the last 30 s of the journal', async () => {
+    // spread the journal's entries over the last 80 s, 10 s apart, to see where the slack cuts off
+    const journal = await readJournal({});
+    const entries = Object.entries(journal.widgets).sort(([, a], [, b]) => a.seq - b.seq);
+    const base = Date.now() - 80_000;
+    entries.forEach(([, e], i) => { e.seq = base + i * 10_000; });
+    journal.seq = base + (entries.length - 1) * 10_000;
+    await (await openStore('live', {})).set('journal', journal);
+
+    // the id a client holds when its connection drops: the cycle frame that ended it
+    const first = await sseFrames(await liveRequest({ since: '0' }, { Accept: 'text/event-stream' }));
+    const lastId = first[first.length - 1].id;
+    assert.equal(lastId, String(journal.seq));
+
+    const frames = await sseFrames(await liveRequest({}, { Accept: 'text/event-stream', 'Last-Event-ID': lastId }));
+    // CATCH_UP_SLACK_MS is 30 s: entries 20, 10 and 0 s before the id come again; 30 s before does not
+    const expected = entries.filter(([, e]) => e.seq > journal.seq - 30_000);
+    assert.deepEqual(expected.map(([, e]) => journal.seq - e.seq), [20_000, 10_000, 0]);
+    assert.deepEqual(frames.map(f => f.event || 'retry'), ['retry', 'widget', 'widget', 'widget', 'cycle']);
+    assert.deepEqual(frames.slice(1, 4).map(f => [f.data.field, f.id]), expected.map(([key, e]) => [key, String(e.seq)]));
+    assert.equal(frames[4].id, lastId, 'nothing new since: the cycle hands back the same id');
+  });
+});
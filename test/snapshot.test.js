@@ -0,0 +1,101 @@
+// test/snapshot.test.js
+// The snapshot function (functions/snapshot.js) takes what index.html's collectSnapshot() sends:
+// the widget payloads the page cached from fetchAllData, its sparkline histories (including
+// the recorded Risk Temperature, dated to the minute), the gauge and the readings export.
+// Upstream is the local stand-in from support/upstream.js. Run with `npm test`.
+
+import { fredCallCount, stopUpstream } from './support/upstream.js';
+
+import assert from 'node:assert/strict';
+import { after, test } from 'node:test';
+
+const { handler: fetchAllData } = await import('../netlify/functions/fetchAllData.js');
+const { handler: history } = await import('../netlify/functions/history.js');
+const { handler: readings } = await import('../netlify/functions/readings.js');
+const { handler: snapshot } = await import('../netlify/functions/snapshot.js');
+const { DEFAULT_RISK_MODEL, computeRiskTemperature } = await import('../shared/riskModel.js');
+
+after(stopUpstream);
+
+const call = (handler, { method = 'GET', query = {}, body } = {}) => handler({
+  httpMethod: method,
+  headers: { 'content-type': 'application/json' },
+  queryStringParameters: query,
+  body: body === undefined ? null : JSON.stringify(body),
+});
+
+// fetchAllData fields under the keys the page caches them as (applyResults in index.html).
+const WIDGET_KEYS = { spy: 'sp500', tsla: 'tsla', vixy: 'vixy', lit: 'lithium', yieldCurve: 'yield', buffett: 'buffett', gold: 'gold', dxy: 'dxy', vix: 'vix-index' };
+const SPARKLINES = { sp500: '6M', tsla: '6M', lithium: '6M', yield: '6M', buffett: '5Y', gold: '6M', dxy: '6M', 'vix-index': '6M', 'risk-temp': '1M' };
+
+// The same shape collectSnapshot() builds, from the functions' real answers.
+async function collectSnapshot() {
+  const ts = Date.now();
+  const cache = {};
+  const results = JSON.parse((await call(fetchAllData)).body);
+  for (const [field, key] of Object.entries(WIDGET_KEYS)) {
+    if (results[field] && !results[field].error) cache[key] = { ts, data: results[field] };
+  }
+
+  // like readMetric(): the first finite of the field (or its % aliases) in the cached payload
+  const value = (widget, field) => {
+    const d = cache[widget]?.data;
+    for (const k of field === 'pct' ? ['pct', 'changePercent', 'change'] : [field]) {
+      if (d?.[k] != null && Number.isFinite(Number(d[k]))) return Number(d[k]);
+    }
+    return null;
+  };
+  const result = computeRiskTemperature(DEFAULT_RISK_MODEL, { value, stats: () => null });
+  assert.ok(result, 'the stand-in upstream gives the gauge something to score');
+  const riskTemp = { ...result, model: DEFAULT_RISK_MODEL.name, at: new Date(ts).toISOString() };
+  cache['risk-temp'] = { ts, data: { score: result.score, band: result.band } };
+
+  // recordRiskTemperature(), so the 1M sparkline has recorded points with components
+  const components = result.parts.map(p => ({ id: p.id, score: Number(p.score.toFixed(2)), weight: p.weight }));
+  const posted = await call(readings, { method: 'POST', body: { key: 'risk-temp', value: result.score, components } });
+  assert.equal(posted.statusCode, 202);
+
+  for (const [key, range] of Object.entries(SPARKLINES)) {
+    const res = await call(history, { query: { key, range } });
+    if (res.statusCode === 200) cache[`history:${key}:${range}`] = { ts, data: JSON.parse(res.body) };
+  }
+  cache.watchlist = { ts, data: [] };
+
+  const row = (metric, widget, field, v, c) => ({
+    metric, widget, field, value: v,
+    source: c?.data?.source || '', asOf: c?.data?.asOf || '', freshness: c?.data?.freshness || '',
+    fetched: new Date(c?.ts ?? ts).toISOString(),
+  });
+  const rows = [
+    row('Risk Temperature · score', 'risk-temp', 'score', result.score, { ts, data: { source: `Risk model "${riskTemp.model}"` } }),
+    ...Object.values(WIDGET_KEYS).filter(k => cache[k]).map(k => row(k, k, 'price', value(k, 'price'), cache[k])),
+  ];
+
+  return { takenAt: new Date(ts).toISOString(), market: 'closed', riskTemp, readings: rows, cache };
+}
+
+test('a snapshot with the recorded Risk Temperature sparkline is stored and served back', async () => {
+  const body = await collectSnapshot();
+  const spark = body.cache['history:risk-temp:1M']?.data;
+  assert.ok(spark?.points.length, 'risk-temp history is in the snapshot');
+  assert.match(spark.points[spark.points.length - 1].date, /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}$/);
+  assert.ok(spark.points[spark.points.length - 1].components?.length);
+  assert.ok(fredCallCount() > 0);
+
+  const res = await call(snapshot, { method: 'POST', body });
+  assert.equal(res.statusCode, 201, res.body);
+  const { id, url } = JSON.parse(res.body);
+  assert.equal(url, `/?snapshot=${id}`);
+
+  const stored = JSON.parse((await call(snapshot, { query: { id } })).body);
+  assert.deepEqual(stored.cache, body.cache);
+  assert.deepEqual(stored.riskTemp, body.riskTemp);
+});
+
+test('points with anything but a date or a date and time are refused', async () => {
+  const body = await collectSnapshot();
+  body.cache['history:risk-temp:1M'].data.points[0].date = '2024-01-02T10:00:00Z';
+  const res = await call(snapshot, { method: 'POST', body });
+  assert.equal(res.statusCode, 400);
+  assert.match(JSON.parse(res.body).error, /points must be/);
+});
@@ -0,0 +1,90 @@
+// test/support/upstream.js
+// Shared set-up for the function tests: a throwaway STORE_DIR, open access, and a local HTTP
+// server standing in for the upstream providers. FRED answers every series with a made-up
+// history of weekday observations; every other provider has no key or gets a 404, so refresh
+// cycles are fast and the same on every run. Import it before any netlify/ module: store.js and
+// access.js read their settings when first used.
+
+import { mkdtemp, rm } from 'node:fs/promises';
+import { createServer } from 'node:http';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+
+export const storeDir = await mkdtemp(path.join(tmpdir(), 'dashboard-test-'));
+Object.assign(process.env, { STORE_DIR: storeDir, ACCESS_OPEN: '1', FRED_KEY: 'test' });
+for (const name of ['TWELVE_KEY', 'FMP_KEY', 'DASHBOARD_PASSWORD', 'SESSION_SECRET']) delete process.env[name];
+
+const PROVIDER_HOSTS = ['api.stlouisfed.org', 'api.twelvedata.com', 'financialmodelingprep.com', 'cdn.cboe.com', 'stooq.com'];
+
+let fredCalls = 0;
+/** FRED observation requests the stand-in has answered so far. */
+export const fredCallCount = () => fredCalls;
+
+// Weekday observations from `start` (default ~400 days back) to yesterday, ascending.
+function observations(start) {
+  const out = [];
+  const end = new Date(Date.now() - 86400000);
+  const d = new Date(`${start || new Date(end - 400 * 86400000).toISOString().slice(0, 10)}T00:00:00Z`);
+  for (let i = 0; d <= end; d.setUTCDate(d.getUTCDate() + 1), i++) {
+    if (d.getUTCDay() % 6) out.push({ date: d.toISOString().slice(0, 10), value: (100 + Math.sin(i / 9) * 5).toFixed(2) });
+  }
+  return out;
+}
+
+function send(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+const upstream = createServer((req, res) => {
+  const u = new URL(req.url, 'http://upstream');
+  if (u.pathname === '/api.stlouisfed.org/fred/series/observations') {
+    fredCalls++;
+    let obs = observations(u.searchParams.get('observation_start'));
+    if (u.searchParams.get('sort_order') === 'desc') obs = obs.reverse().slice(0, Number(u.searchParams.get('limit')));
+    return send(res, 200, { observations: obs });
+  }
+  send(res, 404, { error: 'not stubbed' });
+});
+await new Promise(resolve => upstream.listen(0, '127.0.0.1', resolve));
+const upstreamOrigin = `http://127.0.0.1:${upstream.address().port}`;
+
+// Provider URLs go to the stand-in as /<host>/<path>; local URLs (webhook receivers) pass through.
+const realFetch = globalThis.fetch;
+globalThis.fetch = (url, init) => {
+  const u = new URL(url);
+  if (PROVIDER_HOSTS.includes(u.hostname)) return realFetch(`${upstreamOrigin}/${u.hostname}${u.pathname}${u.search}`, init);
+  if (u.hostname === '127.0.0.1' || u.hostname === 'localhost') return realFetch(url, init);
+  return Promise.reject(new Error(`test: no network for ${u.hostname}`));
+};
+
+/**
+ * A local webhook receiver: { url, received: [{ path, body }], respondWith(status), close() }.
+ * It answers 204 until told otherwise.
+ */
+export async function webhookReceiver() {
+  const received = [];
+  let status = 204;
+  const server = createServer((req, res) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => {
+      received.push({ path: req.url, body: JSON.parse(data || 'null') });
+      res.writeHead(status).end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}/hook`,
+    received,
+    respondWith(code) { status = code; },
+    close: () => new Promise(resolve => { server.closeAllConnections(); server.close(resolve); }),
+  };
+}
+
+/** Stop the stand-in and remove the store; call from the test file's after(). */
+export async function stopUpstream() {
+  upstream.closeAllConnections();
+  await new Promise(resolve => upstream.close(resolve));
+  await rm(storeDir, { recursive: true, force: true });
+}
@@ -0,0 +1,72 @@
+// test/timeseries.test.js
+// The readings log (lib/timeseries.js): appends go to this instance's chunk of the day, reads
+// merge every instance's chunks, and finished days and months are folded into one blob.
+// Run with `npm test`.
+
+import { stopUpstream } from './support/upstream.js';
+
+import assert from 'node:assert/strict';
+import { after, test } from 'node:test';
+
+const { appendReadings, querySeries } = await import('../netlify/lib/timeseries.js');
+const { openStore } = await import('../netlify/lib/store.js');
+
+after(stopUpstream);
+
+const store = await openStore('readings', {});
+const MIN = 60000;
+const today = new Date().toISOString().slice(0, 10);
+const at = (day, minute) => new Date(Date.parse(`${day}T12:00:00Z`) + minute * MIN).toISOString();
+
+test('concurrent appends keep every point, one per minute at most', async () => {
+  await Promise.all(Array.from({ length: 30 }, (_, i) => appendReadings({}, [
+    { key: 'conc', value: i, ts: at(today, i) },
+    { key: 'conc', value: 100 + i, ts: at(today, i + 0.5) }, // same minute: dropped
+  ])));
+  const points = await querySeries({}, 'conc', `${today}T00:00:00Z`, `${today}T23:59:59Z`);
+  assert.deepEqual(points.map(p => p.v), Array.from({ length: 30 }, (_, i) => i));
+  assert.equal((await store.list('conc/')).length, 1, 'one chunk for this instance');
+});
+
+test('chunks from other instances are merged in order on read', async () => {
+  await appendReadings({}, [{ key: 'multi', value: 1, pct: 0.5, source: 'FRED', ts: at(today, 0) }]);
+  await appendReadings({}, [{ key: 'multi', value: 3, ts: at(today, 2) }]);
+  await store.set(`multi/${today}/0badcafe0000`, [
+    { t: at(today, 1), v: 2 },
+    { t: at(today, 2.25), v: 99 }, // within a minute of this instance's point
+    { t: at(today, 3), v: 4 },
+  ]);
+  const points = await querySeries({}, 'multi', `${today}T00:00:00Z`, new Date(Date.parse(at(today, 60))));
+  assert.deepEqual(points.map(p => p.v), [1, 2, 3, 4]);
+  assert.deepEqual(points[0], { t: at(today, 0), v: 1, pct: 0.5, src: 'FRED' });
+});
+
+test('finished days and months are folded into one blob each, and still read back', async () => {
+  const day = (n) => new Date(Date.now() - n * 86400000).toISOString().slice(0, 10);
+  const old = '2024-02-10';
+  await store.set('fold/2024-02', [{ t: '2024-02-01T15:00:00.000Z', v: 1 }]); // monthly blob of the old layout
+  await store.set(`fold/${old}/aaaa`, [{ t: at(old, 0), v: 2 }]);
+  await store.set(`fold/${old}/bbbb`, [{ t: at(old, 1), v: 3 }]);
+  await store.set(`fold/${day(2)}/aaaa`, [{ t: at(day(2), 0), v: 4 }]);
+  await store.set(`fold/${day(2)}/bbbb`, [{ t: at(day(2), 5), v: 5 }]);
+  await appendReadings({}, [{ key: 'fold', value: 6, ts: at(today, 0) }]);
+
+  const read = () => querySeries({}, 'fold', '2024-01-01T00:00:00Z', `${today}T23:59:59Z`);
+  const first = await read();
+  assert.deepEqual(first.map(p => p.v), [1, 2, 3, 4, 5, 6]);
+
+  const names = (await store.list('fold/')).sort();
+  assert.ok(names.includes('fold/2024-02') && !names.some(n => n.startsWith(`fold/${old}`)), 'February is one blob');
+  if (day(2).slice(0, 7) === today.slice(0, 7)) {
+    assert.ok(names.includes(`fold/${day(2)}`) && !names.some(n => n.startsWith(`fold/${day(2)}/`)), 'the finished day is one blob');
+  }
+  assert.ok(names.some(n => n.startsWith(`fold/${today}/`)), 'today stays in chunks');
+  assert.deepEqual(await read(), first);
+});
+
+test('ranges only read the months and days they cover', async () => {
+  await store.set('range/2024-03', [{ t: '2024-03-05T15:00:00.000Z', v: 1 }, { t: '2024-03-20T15:00:00.000Z', v: 2 }]);
+  assert.deepEqual((await querySeries({}, 'range', '2024-03-10', '2024-03-31')).map(p => p.v), [2]);
+  assert.deepEqual(await querySeries({}, 'range', '2023-01-01', '2023-12-31'), []);
+  assert.deepEqual(await querySeries({}, 'nothing', '2024-01-01', new Date()), []);
+});